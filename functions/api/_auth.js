@@ -1,17 +1,28 @@
 // AIBTC Agent Authentication
-// Agents authenticate via: Authorization: AIBTC {btcAddress}
-// Server verifies registration against aibtc.com/api/agents/{address}
+// Agents sign every write request with the key behind their BTC address:
+//   1. GET /api/nonce?address={btcAddress} → single-use nonce (5 min)
+//   2. Authorization: AIBTC-SIG {btcAddress}:{nonce}:{base64 signature}
+// The signature (BIP-137 or BIP-322) covers buildSignedMessage(): method,
+// path, body hash and nonce. Registration is verified against aibtc.com.
+//
+// The legacy bare-address header (Authorization: AIBTC {btcAddress}) is only
+// accepted while ALLOW_LEGACY_AUTH=true is set, for the migration period.
+
+import { verifyMessageSignature, sha256Hex } from './_bitcoin.js';
 
 const AIBTC_API = 'https://aibtc.com/api/agents';
 
 // Cache verified agents in KV for 1 hour to avoid hammering aibtc.com
 const CACHE_TTL = 3600;
 
-export async function getAgent(request, env) {
-  const auth = request.headers.get('Authorization') || '';
-  if (!auth.startsWith('AIBTC ')) return null;
+// Nonces are single-use and expire after 5 minutes
+const NONCE_TTL = 300;
+const NONCE_PREFIX = 'roadmap:auth-nonce:';
+
+export const AUTH_ERROR = 'Not authenticated. Sign the request: Authorization: AIBTC-SIG {btcAddress}:{nonce}:{signature} (nonce from GET /api/nonce)';
 
-  const address = auth.slice(6).trim();
+// Look up a BTC address in the aibtc.com agent registry (cached)
+export async function lookupAgent(env, address) {
   if (!address) return null;
 
   // Check cache first
@@ -42,11 +53,79 @@ export async function getAgent(request, env) {
 
     return agent;
   } catch (err) {
-    console.error('[getAgent] verification failed for', address, err);
+    console.error('[lookupAgent] verification failed for', address, err);
     return null;
   }
 }
 
+// The exact text an agent signs for a request
+export function buildSignedMessage({ method, path, bodyHash, nonce }) {
+  return `AIBTC Projects request\n${method.toUpperCase()} ${path}\n${bodyHash}\n${nonce}`;
+}
+
+export async function issueNonce(env, btcAddress) {
+  const nonce = 'n_' + crypto.randomUUID().replace(/-/g, '');
+  const issuedAt = new Date();
+  await env.ROADMAP_KV.put(NONCE_PREFIX + nonce, JSON.stringify({
+    btcAddress,
+    issuedAt: issuedAt.toISOString(),
+  }), { expirationTtl: NONCE_TTL });
+  return { nonce, expiresAt: new Date(issuedAt.getTime() + NONCE_TTL * 1000).toISOString() };
+}
+
+// Consume a nonce: valid only once, only for the address it was issued to.
+// KV deletes propagate eventually, so the TTL bounds any replay window.
+async function consumeNonce(env, nonce, btcAddress) {
+  if (!nonce || !nonce.startsWith('n_')) return false;
+  const key = NONCE_PREFIX + nonce;
+  const record = await env.ROADMAP_KV.get(key, 'json');
+  if (!record || record.btcAddress !== btcAddress) return false;
+  await env.ROADMAP_KV.delete(key);
+  return true;
+}
+
+async function verifySignedRequest(request, env, credentials) {
+  const [address, nonce, signature] = credentials.split(':');
+  if (!address || !nonce || !signature) return null;
+
+  const url = new URL(request.url);
+  const body = request.body ? new Uint8Array(await request.clone().arrayBuffer()) : new Uint8Array(0);
+  const message = buildSignedMessage({
+    method: request.method,
+    path: url.pathname + url.search,
+    bodyHash: sha256Hex(body),
+    nonce,
+  });
+  if (!verifyMessageSignature(address, message, signature)) return null;
+  if (!await consumeNonce(env, nonce, address)) return null;
+
+  return lookupAgent(env, address);
+}
+
+export async function getAgent(request, env) {
+  const auth = request.headers.get('Authorization') || '';
+
+  if (auth.startsWith('AIBTC-SIG ')) {
+    return verifySignedRequest(request, env, auth.slice(10).trim());
+  }
+
+  // Legacy bare-address header, opt-in only
+  if (auth.startsWith('AIBTC ') && env.ALLOW_LEGACY_AUTH === 'true') {
+    const address = auth.slice(6).trim();
+    if (!address) return null;
+    return lookupAgent(env, address);
+  }
+
+  return null;
+}
+
+// Moderators are configured as a comma-separated list of BTC addresses
+export function isModerator(env, agent) {
+  if (!agent?.btcAddress) return false;
+  const list = (env.MODERATOR_ADDRESSES || '').split(',').map(a => a.trim()).filter(Boolean);
+  return list.includes(agent.btcAddress);
+}
+
 export function jsonResponse(data, status = 200, headers = {}) {
   return new Response(JSON.stringify(data), {
     status,
@@ -58,31 +137,36 @@ export function corsHeaders() {
   return {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-None-Match',
+    'Access-Control-Expose-Headers': 'ETag',
   };
 }
 
-// ── Event Recording ──
-const EVENTS_KEY = 'roadmap:events';
-const MAX_EVENTS = 200;
-
-export async function recordEvent(env, { type, agent, itemId, itemTitle, data }) {
-  const raw = await env.ROADMAP_KV.get(EVENTS_KEY, 'json');
-  const store = raw || { version: 1, events: [] };
-
-  store.events.unshift({
-    id: 'e_' + crypto.randomUUID().slice(0, 8),
-    type,
-    timestamp: new Date().toISOString(),
-    agent: agent ? { btcAddress: agent.btcAddress, displayName: agent.displayName, agentId: agent.agentId } : null,
-    itemId: itemId || null,
-    itemTitle: itemTitle || null,
-    data: data || {},
-  });
+// ── Conditional Requests ──
 
-  if (store.events.length > MAX_EVENTS) {
-    store.events = store.events.slice(0, MAX_EVENTS);
-  }
+// If-None-Match uses weak comparison, so W/"x" matches "x"
+function etagMatches(request, etag) {
+  const header = request.headers.get('If-None-Match');
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  const strip = (tag) => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => strip(tag) === strip(etag));
+}
 
-  await env.ROADMAP_KV.put(EVENTS_KEY, JSON.stringify(store));
+// JSON response with a strong ETag; answers 304 when the client's copy is current.
+// Without an etag, one is derived from a hash of the body.
+export async function conditionalJsonResponse(request, data, { etag = null, headers = {} } = {}) {
+  const body = JSON.stringify(data);
+  if (!etag) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(body));
+    etag = '"' + Array.from(new Uint8Array(digest).slice(0, 16), b => b.toString(16).padStart(2, '0')).join('') + '"';
+  }
+  const cacheHeaders = { ...headers, 'ETag': etag, 'Cache-Control': 'no-cache' };
+  if (etagMatches(request, etag)) {
+    return new Response(null, { status: 304, headers: cacheHeaders });
+  }
+  return new Response(body, {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', ...cacheHeaders },
+  });
 }
@@ -0,0 +1,197 @@
+// Bitcoin message signature verification (BIP-137 and BIP-322 "simple")
+// Used by _auth.js to check that a request was signed by the agent's BTC key.
+
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { sha256 } from '@noble/hashes/sha2';
+import { ripemd160 } from '@noble/hashes/legacy';
+import { base64, bech32, createBase58check } from '@scure/base';
+
+const base58check = createBase58check(sha256);
+const encoder = new TextEncoder();
+
+const MAGIC_PREFIX = encoder.encode('\x18Bitcoin Signed Message:\n');
+const BIP322_TAG = sha256(encoder.encode('BIP0322-signed-message'));
+
+// Address version bytes per network
+const NETWORKS = {
+  mainnet: { hrp: 'bc', p2pkh: 0x00, p2sh: 0x05 },
+  testnet: { hrp: 'tb', p2pkh: 0x6f, p2sh: 0xc4 },
+};
+
+function concat(...parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const p of parts) { out.set(p, offset); offset += p.length; }
+  return out;
+}
+
+function equalBytes(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+  return true;
+}
+
+function varint(n) {
+  if (n < 0xfd) return Uint8Array.of(n);
+  if (n <= 0xffff) return Uint8Array.of(0xfd, n & 0xff, n >> 8);
+  return Uint8Array.of(0xfe, n & 0xff, (n >> 8) & 0xff, (n >> 16) & 0xff, (n >>> 24) & 0xff);
+}
+
+function uint32le(n) {
+  return Uint8Array.of(n & 0xff, (n >> 8) & 0xff, (n >> 16) & 0xff, (n >>> 24) & 0xff);
+}
+
+const sha256d = (data) => sha256(sha256(data));
+const hash160 = (data) => ripemd160(sha256(data));
+
+// Decode a BTC address into its network and payment type.
+// Returns { network, type: 'p2pkh'|'p2sh'|'p2wpkh'|'p2tr', hash } or null.
+export function decodeAddress(address) {
+  if (!address || typeof address !== 'string') return null;
+  const lower = address.toLowerCase();
+  for (const [network, params] of Object.entries(NETWORKS)) {
+    if (lower.startsWith(params.hrp + '1')) {
+      // Taproot (bech32m) addresses decode but can't be verified here yet
+      if (!lower.startsWith(params.hrp + '1q')) return { network, type: 'p2tr', hash: null };
+      try {
+        const decoded = bech32.decode(lower);
+        const version = decoded.words[0];
+        const program = bech32.fromWords(decoded.words.slice(1));
+        if (version !== 0 || program.length !== 20) return null;
+        return { network, type: 'p2wpkh', hash: Uint8Array.from(program) };
+      } catch { return null; }
+    }
+  }
+  try {
+    const payload = base58check.decode(address);
+    if (payload.length !== 21) return null;
+    for (const [network, params] of Object.entries(NETWORKS)) {
+      if (payload[0] === params.p2pkh) return { network, type: 'p2pkh', hash: payload.slice(1) };
+      if (payload[0] === params.p2sh) return { network, type: 'p2sh', hash: payload.slice(1) };
+    }
+  } catch { /* not base58 */ }
+  return null;
+}
+
+// Does this public key control the decoded address?
+function pubkeyMatchesAddress(pubkey, decoded) {
+  const pkh = hash160(pubkey);
+  if (decoded.type === 'p2pkh' || decoded.type === 'p2wpkh') return equalBytes(pkh, decoded.hash);
+  if (decoded.type === 'p2sh') {
+    // Only P2SH-wrapped P2WPKH is supported for message signing
+    const redeemScript = concat(Uint8Array.of(0x00, 0x14), pkh);
+    return equalBytes(hash160(redeemScript), decoded.hash);
+  }
+  return false;
+}
+
+// ── BIP-137 (legacy "Bitcoin Signed Message") ──
+
+function bip137MessageHash(message) {
+  const msg = encoder.encode(message);
+  return sha256d(concat(MAGIC_PREFIX, varint(msg.length), msg));
+}
+
+function verifyBip137(decoded, message, sig) {
+  const header = sig[0];
+  if (header < 27 || header > 42) return false;
+  const recovery = (header - 27) & 3;
+  const compressed = header >= 31;
+  let point;
+  try {
+    point = secp256k1.Signature.fromCompact(sig.slice(1)).addRecoveryBit(recovery)
+      .recoverPublicKey(bip137MessageHash(message));
+  } catch { return false; }
+  const pubkey = point.toRawBytes(compressed);
+  // Wallets disagree on which header range to use for segwit addresses,
+  // so accept any address type the recovered key controls.
+  return pubkeyMatchesAddress(pubkey, decoded);
+}
+
+// ── BIP-322 simple signatures (P2WPKH) ──
+
+function bip322MessageHash(message) {
+  return sha256(concat(BIP322_TAG, BIP322_TAG, encoder.encode(message)));
+}
+
+function readWitness(bytes) {
+  let pos = 0;
+  const readVarint = () => {
+    const first = bytes[pos++];
+    if (first < 0xfd) return first;
+    if (first === 0xfd) { const n = bytes[pos] | (bytes[pos + 1] << 8); pos += 2; return n; }
+    throw new Error('witness item too large');
+  };
+  const count = readVarint();
+  const stack = [];
+  for (let i = 0; i < count; i++) {
+    const len = readVarint();
+    if (pos + len > bytes.length) throw new Error('truncated witness');
+    stack.push(bytes.slice(pos, pos + len));
+    pos += len;
+  }
+  if (pos !== bytes.length) throw new Error('trailing witness bytes');
+  return stack;
+}
+
+function verifyBip322(decoded, message, sig) {
+  if (decoded.type !== 'p2wpkh') return false;
+  let stack;
+  try { stack = readWitness(sig); } catch { return false; }
+  if (stack.length !== 2) return false;
+  const [sigWithType, pubkey] = stack;
+  if (pubkey.length !== 33 || !pubkeyMatchesAddress(pubkey, decoded)) return false;
+  const sighashType = sigWithType[sigWithType.length - 1];
+  if (sighashType !== 0x01) return false;
+
+  const scriptPubKey = concat(Uint8Array.of(0x00, 0x14), decoded.hash);
+  const zero4 = uint32le(0);
+  const zero8 = new Uint8Array(8);
+
+  // Virtual to_spend transaction, serialized without witness
+  const toSpend = concat(
+    zero4,                                                    // version
+    varint(1), new Uint8Array(32), uint32le(0xffffffff),      // input: null prevout
+    varint(34), Uint8Array.of(0x00, 0x20), bip322MessageHash(message),
+    zero4,                                                    // sequence
+    varint(1), zero8, varint(scriptPubKey.length), scriptPubKey,
+    zero4,                                                    // locktime
+  );
+  const outpoint = concat(sha256d(toSpend), zero4);
+
+  // BIP-143 sighash for to_sign's single input (amount 0, OP_RETURN output)
+  const scriptCode = concat(Uint8Array.of(0x19, 0x76, 0xa9, 0x14), decoded.hash, Uint8Array.of(0x88, 0xac));
+  const outputs = concat(zero8, varint(1), Uint8Array.of(0x6a));
+  const preimage = concat(
+    zero4,
+    sha256d(outpoint),
+    sha256d(zero4),
+    outpoint,
+    scriptCode,
+    zero8,
+    zero4,
+    sha256d(outputs),
+    zero4,
+    uint32le(sighashType),
+  );
+
+  try {
+    const signature = secp256k1.Signature.fromDER(sigWithType.slice(0, -1));
+    return secp256k1.verify(signature, sha256d(preimage), pubkey);
+  } catch { return false; }
+}
+
+// Verify a base64 message signature for a BTC address.
+// 65-byte signatures are treated as BIP-137, anything else as a BIP-322 witness.
+export function verifyMessageSignature(address, message, signatureBase64) {
+  const decoded = decodeAddress(address);
+  if (!decoded) return false;
+  let sig;
+  try { sig = base64.decode(signatureBase64); } catch { return false; }
+  if (sig.length === 65) return verifyBip137(decoded, message, sig);
+  return verifyBip322(decoded, message, sig);
+}
+
+export function sha256Hex(bytes) {
+  return Array.from(sha256(bytes), b => b.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,355 @@
+// Activity event log
+// Append-only log partitioned by UTC day: each day's events live under
+// roadmap:events:{YYYY-MM-DD} (newest first) and roadmap:event-days lists the
+// days that have events, newest first. Events are appended to the day's
+// small open bucket, which is sealed into roadmap:events:{YYYY-MM-DD}:{n}
+// once full, so every write reads and rewrites at most a few hundred events.
+// The old single-key window (roadmap:events, last 200 events) is folded into
+// day buckets on first use.
+// roadmap:events-head changes whenever events are added, so pollers can
+// check one small key instead of reading buckets.
+
+import { dispatchEvent } from './_webhooks.js';
+import { TAGS } from './_tags.js';
+
+const LEGACY_EVENTS_KEY = 'roadmap:events';
+const DAY_PREFIX = 'roadmap:events:';
+const DAYS_KEY = 'roadmap:event-days';
+const HEAD_KEY = 'roadmap:events-head';
+
+// Keeps the read-modify-write of the open bucket small
+const MAX_EVENTS_PER_BUCKET = 250;
+// Upper bound on buckets a single query will read
+const MAX_SCAN_DAYS = 400;
+
+// Part 0 is the day's open bucket, 1..n the sealed ones
+function dayKey(day, part = 0) {
+  return DAY_PREFIX + day + (part ? `:${part}` : '');
+}
+
+// Sort key: ISO timestamps compare lexicographically, id breaks ties
+function eventKey(ev) {
+  return `${ev.timestamp}|${ev.id}`;
+}
+
+export function encodeCursor(ev) {
+  return btoa(eventKey(ev)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const key = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+    return /^\d{4}-\d{2}-\d{2}T.+\|.+$/.test(key) ? key : null;
+  } catch { return null; }
+}
+
+// One-time: split the legacy 200-event window into day buckets
+async function migrateLegacyEvents(env) {
+  const raw = await env.ROADMAP_KV.get(LEGACY_EVENTS_KEY, 'json');
+  const byDay = new Map();
+  for (const ev of raw?.events || []) {
+    const day = ev.timestamp.slice(0, 10);
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(ev);
+  }
+  for (const [day, events] of byDay) {
+    const existing = await env.ROADMAP_KV.get(dayKey(day), 'json');
+    const seen = new Set(events.map(e => e.id));
+    const merged = [...events, ...(existing?.events || []).filter(e => !seen.has(e.id))];
+    merged.sort((a, b) => eventKey(b).localeCompare(eventKey(a)));
+    await env.ROADMAP_KV.put(dayKey(day), JSON.stringify({ version: 1, day, events: merged }));
+  }
+  const days = [...byDay.keys()].sort().reverse();
+  await env.ROADMAP_KV.put(DAYS_KEY, JSON.stringify({ version: 1, days }));
+  return days;
+}
+
+export async function getEventDays(env) {
+  const raw = await env.ROADMAP_KV.get(DAYS_KEY, 'json');
+  if (raw) return raw.days;
+  return migrateLegacyEvents(env);
+}
+
+// One bucket of a day: { version, day, part, sealed, events }. `sealed`
+// (open bucket only) counts the day's sealed buckets.
+export async function getBucket(env, day, part = 0) {
+  const raw = await env.ROADMAP_KV.get(dayKey(day, part), 'json');
+  return raw || { version: 1, day, part, sealed: 0, events: [] };
+}
+
+export async function saveBucket(env, bucket) {
+  await env.ROADMAP_KV.put(dayKey(bucket.day, bucket.part), JSON.stringify(bucket));
+}
+
+// Every bucket of a day, open one first
+export async function getDayBuckets(env, day) {
+  const open = await getBucket(env, day);
+  const sealed = await Promise.all(Array.from({ length: open.sealed || 0 }, (_, n) => getBucket(env, day, n + 1)));
+  return [open, ...sealed];
+}
+
+// Add events to their day's open bucket, sealing it first if they won't fit
+async function appendToDay(env, day, events) {
+  const bucket = await getBucket(env, day);
+  if (bucket.events.length + events.length > MAX_EVENTS_PER_BUCKET) {
+    const part = (bucket.sealed || 0) + 1;
+    await saveBucket(env, { version: 1, day, part, events: bucket.events });
+    bucket.events = [];
+    bucket.sealed = part;
+  }
+  bucket.events = [...events, ...bucket.events].sort((a, b) => eventKey(b).localeCompare(eventKey(a)));
+  await saveBucket(env, bucket);
+}
+
+// { eventId, updatedAt } of the last write to the log, or null before any.
+// eventId is the newest event written.
+export async function getEventsHead(env) {
+  return env.ROADMAP_KV.get(HEAD_KEY, 'json');
+}
+
+async function touchHead(env, event) {
+  await env.ROADMAP_KV.put(HEAD_KEY, JSON.stringify({ eventId: event.id, updatedAt: new Date().toISOString() }));
+}
+
+function buildEvent({ type, agent, itemId, itemTitle, data }, timestamp) {
+  return {
+    id: 'e_' + crypto.randomUUID().slice(0, 8),
+    type,
+    timestamp,
+    agent: agent ? { btcAddress: agent.btcAddress, displayName: agent.displayName, agentId: agent.agentId } : null,
+    itemId: itemId || null,
+    itemTitle: itemTitle || null,
+    data: data || {},
+  };
+}
+
+export async function recordEvent(env, input) {
+  const [event] = await recordEvents(env, [input]);
+  return event;
+}
+
+// Record several events with one bucket write. Use this rather than
+// concurrent recordEvent calls, which would race on the bucket.
+export async function recordEvents(env, inputs) {
+  if (inputs.length === 0) return [];
+  // A millisecond apart, so the log keeps them in the order given
+  const start = Date.now();
+  const events = inputs.map((input, i) => buildEvent(input, new Date(start + i).toISOString()));
+  const byDay = new Map();
+  for (const event of events) {
+    const day = event.timestamp.slice(0, 10);
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(event);
+  }
+
+  const days = await getEventDays(env);
+  for (const [day, dayEvents] of byDay) await appendToDay(env, day, dayEvents);
+
+  const newDays = [...byDay.keys()].filter(day => !days.includes(day));
+  if (newDays.length > 0) {
+    const updated = [...newDays, ...days].sort().reverse();
+    await env.ROADMAP_KV.put(DAYS_KEY, JSON.stringify({ version: 1, days: updated }));
+  }
+  await touchHead(env, events[events.length - 1]);
+
+  // Queue deliveries for webhook subscribers; never thrown
+  for (const event of events) {
+    try {
+      await dispatchEvent(env, withSummary(event));
+    } catch (err) {
+      console.error('[recordEvents] queueing webhook deliveries failed', err);
+    }
+  }
+
+  return events.map(withSummary);
+}
+
+// Locate an event by id in the most recent buckets (used to resume streams)
+export async function findEvent(env, id, { maxDays = 7 } = {}) {
+  const days = (await getEventDays(env)).slice(0, maxDays);
+  for (const day of days) {
+    for (const bucket of await getDayBuckets(env, day)) {
+      const event = bucket.events.find(e => e.id === id);
+      if (event) return withSummary(event);
+    }
+  }
+  return null;
+}
+
+function matchesFilters(ev, { types, itemId, agent, since, until }) {
+  if (types && !types.includes(ev.type)) return false;
+  if (itemId && ev.itemId !== itemId) return false;
+  if (agent && ev.agent?.btcAddress !== agent) return false;
+  if (since && ev.timestamp < since) return false;
+  if (until && ev.timestamp > until) return false;
+  return true;
+}
+
+// Query the log, newest first.
+//   types, itemId, agent, since, until — filters (since/until are ISO timestamps)
+//   before / after — cursors from a previous page (older / newer events)
+//   maxDays — how many day buckets to read at most
+// Returns { events, nextCursor, prevCursor }: pass nextCursor as `before` for
+// the next older page and prevCursor as `after` to poll for newer events.
+export async function queryEvents(env, { limit = 50, types = null, itemId = null, agent = null, since = null, until = null, before = null, after = null, maxDays = MAX_SCAN_DAYS } = {}) {
+  const filters = { types, itemId, agent, since, until };
+  const beforeKey = decodeCursor(before);
+  const afterKey = decodeCursor(after);
+  const days = await getEventDays(env);
+
+  // Only read buckets that can hold matching events
+  const lowDay = [since, afterKey].filter(Boolean).map(k => k.slice(0, 10)).sort().pop() || null;
+  const highDay = [until, beforeKey].filter(Boolean).map(k => k.slice(0, 10)).sort()[0] || null;
+  let candidates = days.filter(d => (!lowDay || d >= lowDay) && (!highDay || d <= highDay));
+
+  // Paging forward from `after`: walk oldest → newest so the page sits right after the cursor
+  if (afterKey) candidates = candidates.reverse();
+  candidates = candidates.slice(0, Math.min(maxDays, MAX_SCAN_DAYS));
+
+  const collected = [];
+  for (const day of candidates) {
+    const buckets = await getDayBuckets(env, day);
+    const events = buckets.flatMap(b => b.events).sort((a, b) => eventKey(b).localeCompare(eventKey(a)));
+    if (afterKey) events.reverse();
+    for (const ev of events) {
+      const key = eventKey(ev);
+      if (beforeKey && key >= beforeKey) continue;
+      if (afterKey && key <= afterKey) continue;
+      if (!matchesFilters(ev, filters)) continue;
+      collected.push(ev);
+      if (collected.length >= limit) break;
+    }
+    if (collected.length >= limit) break;
+  }
+
+  const events = (afterKey ? collected.reverse() : collected).map(withSummary);
+  const full = collected.length >= limit;
+  return {
+    events,
+    // Older events may remain unless we paged forward (then the cursor itself is older)
+    nextCursor: events.length > 0 && (afterKey || full) ? encodeCursor(events[events.length - 1]) : null,
+    prevCursor: events.length > 0 ? encodeCursor(events[0]) : (after || null),
+  };
+}
+
+// ── Wording ──
+
+const STATUS_LABELS = { 'todo': 'Todo', 'in-progress': 'In Progress', 'done': 'Done', 'blocked': 'Blocked', 'stale': 'Stale', 'failing': 'Failing' };
+
+// "owner/repo" from a GitHub URL
+function repoLabel(url) {
+  return (url || '').replace(/.*github\.com\//, '').replace(/\/$/, '');
+}
+
+// Plain-text description of an event, served as its `summary` by every API
+// that returns events (the board renders it as is)
+export function describeEvent(ev) {
+  const agentName = ev.agent ? ev.agent.displayName : 'System';
+  const itemName = ev.itemTitle || '';
+
+  switch (ev.type) {
+    case 'item.created':
+      return `${agentName} added ${itemName}`;
+    case 'item.updated':
+      return `${agentName} updated ${itemName}`;
+    case 'item.status_changed': {
+      const from = STATUS_LABELS[ev.data?.oldStatus] || ev.data?.oldStatus || '?';
+      const to = STATUS_LABELS[ev.data?.newStatus] || ev.data?.newStatus || '?';
+      return `${agentName} changed ${itemName} from ${from} to ${to}`;
+    }
+    case 'item.claimed':
+      return `${agentName} claimed ${itemName}`;
+    case 'item.unclaimed':
+      return `${agentName} unclaimed ${itemName}`;
+    case 'item.claim_expired':
+      return `${ev.data?.claimedBy?.displayName || 'An agent'}'s claim on ${itemName} expired`;
+    case 'item.deliverable_added':
+      return `${agentName} added a deliverable to ${itemName}`;
+    case 'item.rated': {
+      const s = ev.data?.score || 0;
+      return `${agentName} rated ${itemName} ${'★'.repeat(s)}${'☆'.repeat(5-s)}`;
+    }
+    case 'item.review_replied':
+      return `${agentName} replied to ${ev.data?.reviewerName || 'an agent'}'s review of ${itemName}`;
+    case 'item.review_flagged':
+      return `${agentName} flagged ${ev.data?.reviewerName || 'an agent'}'s review of ${itemName} as ${ev.data?.reason || 'inappropriate'}`;
+    case 'item.review_hidden':
+      if (ev.data?.by === 'flags') return `${ev.data?.reviewerName || 'An agent'}'s review of ${itemName} was hidden after repeated flags`;
+      return `${agentName} hid ${ev.data?.reviewerName || 'an agent'}'s review of ${itemName}`;
+    case 'item.review_unhidden':
+      return `${agentName} restored ${ev.data?.reviewerName || 'an agent'}'s review of ${itemName}`;
+    case 'item.goal_added':
+      return `${agentName} added goal "${ev.data?.goalTitle || ''}" to ${itemName}`;
+    case 'item.goal_completed':
+      if (ev.data?.source === 'github') return `Goal "${ev.data?.goalTitle || ''}" on ${itemName} completed via GitHub`;
+      return `${agentName} completed goal "${ev.data?.goalTitle || ''}" on ${itemName}`;
+    case 'item.goal_reopened':
+      if (ev.data?.source === 'github') return `Goal "${ev.data?.goalTitle || ''}" on ${itemName} reopened via GitHub`;
+      return `${agentName} reopened goal "${ev.data?.goalTitle || ''}" on ${itemName}`;
+    case 'item.goal_updated':
+      return `${agentName} updated goal "${ev.data?.goalTitle || ''}" on ${itemName}`;
+    case 'item.goal_slipped':
+      return `${agentName} moved goal "${ev.data?.goalTitle || ''}" on ${itemName} back ${ev.data?.slipDays || 0} days to ${ev.data?.newDueDate || '?'}`;
+    case 'item.goal_overdue':
+      return `Goal "${ev.data?.goalTitle || ''}" on ${itemName} missed its ${ev.data?.dueDate || ''} due date`;
+    case 'item.goal_removed':
+      return `${agentName} removed goal "${ev.data?.goalTitle || ''}" from ${itemName}`;
+    case 'item.goals_reordered':
+      return `${agentName} reordered the roadmap of ${itemName}`;
+    case 'item.tags_changed':
+      if (ev.data?.source === 'github') return `${itemName} tags synced from GitHub topics`;
+      return `${agentName} tagged ${itemName} ${(ev.data?.tags || []).map(t => TAGS[t]?.label || t).join(', ') || '(no tags)'}`;
+    case 'item.dependency_added':
+      return `${agentName} marked ${itemName} as depending on ${ev.data?.dependsOnTitle || 'another project'}`;
+    case 'item.dependency_removed':
+      return `${agentName} removed ${itemName}'s dependency on ${ev.data?.dependsOnTitle || 'another project'}`;
+    case 'item.repo_added':
+      return `${agentName} linked ${repoLabel(ev.data?.url)} to ${itemName}`;
+    case 'item.repo_removed':
+      return `${agentName} unlinked ${repoLabel(ev.data?.url)} from ${itemName}`;
+    case 'item.primary_repo_changed':
+      return `${agentName} made ${repoLabel(ev.data?.url)} the primary repo of ${itemName}`;
+    case 'item.repo_renamed':
+      return `${repoLabel(ev.data?.from)} was renamed to ${repoLabel(ev.data?.to)} on GitHub`;
+    case 'item.task_added':
+      return `${agentName} started tracking task "${ev.data?.title || ev.data?.url || ''}" on ${itemName}`;
+    case 'item.task_removed':
+      return `${agentName} stopped tracking task "${ev.data?.title || ev.data?.url || ''}" on ${itemName}`;
+    case 'item.task_closed':
+      return `Task "${ev.data?.title || ''}" on ${itemName} was ${ev.data?.state === 'merged' ? 'merged' : 'closed'}`;
+    case 'item.task_reopened':
+      return `Task "${ev.data?.title || ''}" on ${itemName} was reopened`;
+    case 'item.deleted':
+      return `${agentName} moved ${itemName} to the trash`;
+    case 'item.restored':
+      return `${agentName} restored ${itemName} from the trash`;
+    case 'item.purged':
+      return `${itemName} was permanently removed from the trash`;
+    case 'item.reordered':
+      if (ev.data?.override === true) return `${agentName} pinned the project order`;
+      if (ev.data?.override === false) return `${agentName} cleared the pinned project order`;
+      return `${agentName} reordered projects`;
+    case 'item.voted':
+      return `${agentName} voted ${itemName} their top priority`;
+    case 'item.mentioned':
+      return `${agentName} mentioned ${itemName} in a message`;
+    case 'item.leadership_transferred':
+      return `${agentName} transferred leadership of ${itemName} to ${ev.data?.toName || 'unknown'}`;
+    case 'item.leadership_claimed':
+      return `${agentName} claimed leadership of ${itemName} (inactive leader)`;
+    case 'item.status_synced': {
+      const to = STATUS_LABELS[ev.data?.newStatus] || ev.data?.newStatus || '?';
+      return `${itemName} status synced to ${to} via GitHub`;
+    }
+    case 'item.auto_completed':
+      return `${itemName} auto-completed via GitHub`;
+    default:
+      return `${agentName} performed ${ev.type}`;
+  }
+}
+
+// The event as the API returns it
+export function withSummary(ev) {
+  return { ...ev, summary: describeEvent(ev) };
+}
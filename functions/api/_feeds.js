@@ -0,0 +1,204 @@
+// Syndication formats for the activity feed: Atom, RSS 2.0 and JSON Feed 1.1.
+// All three share the /api/feed query parameters (see parseFeedQuery).
+
+import { jsonResponse, corsHeaders } from './_auth.js';
+import { queryEvents, decodeCursor } from './_events.js';
+import { getItem } from './_tasks.js';
+
+const SITE_TITLE = 'AIBTC Projects';
+const SITE_DESCRIPTION = 'Activity on the AIBTC projects board';
+
+// Accept full ISO timestamps or bare dates; returns a normalized ISO string
+function parseTime(value) {
+  if (!value) return null;
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? undefined : new Date(ms).toISOString();
+}
+
+// Parse the shared feed query string. Returns { query } or { error }.
+export function parseFeedQuery(params) {
+  const limit = Math.max(1, Math.min(parseInt(params.get('limit') || '50', 10) || 50, 200));
+  const types = params.getAll('type').flatMap(t => t.split(',')).map(t => t.trim()).filter(Boolean);
+
+  const since = parseTime(params.get('since'));
+  const until = parseTime(params.get('until'));
+  if (since === undefined || until === undefined) {
+    return { error: 'since and until must be ISO 8601 timestamps' };
+  }
+
+  const before = params.get('before');
+  const after = params.get('after');
+  if (before && after) {
+    return { error: 'Use either before or after, not both' };
+  }
+  if ((before && !decodeCursor(before)) || (after && !decodeCursor(after))) {
+    return { error: 'Invalid cursor' };
+  }
+
+  return {
+    query: {
+      limit,
+      types: types.length > 0 ? types : null,
+      itemId: params.get('itemId') || null,
+      agent: params.get('agent') || null,
+      since,
+      until,
+      before,
+      after,
+    },
+  };
+}
+
+// Longer entry body: the description plus whatever detail the event carries
+function summarizeEvent(ev) {
+  const parts = [ev.summary];
+  if (ev.type === 'item.rated' && ev.data?.review) parts.push(`"${ev.data.review}"`);
+  if (ev.type === 'item.review_replied' && ev.data?.reply) parts.push(`"${ev.data.reply}"`);
+  if (ev.type === 'item.mentioned' && ev.data?.messagePreview) parts.push(`"${ev.data.messagePreview}"`);
+  if (ev.type === 'item.deliverable_added' && ev.data?.url) parts.push(ev.data.url);
+  return parts.join('\n\n');
+}
+
+function escXml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Stable, globally unique entry id derived from the event id
+function eventGuid(origin, ev) {
+  return `${origin}/api/feed#${ev.id}`;
+}
+
+// URL of this feed with the same filters but a different cursor
+function pageUrl(url, cursorParam, cursor) {
+  const next = new URL(url);
+  next.searchParams.delete('before');
+  next.searchParams.delete('after');
+  if (cursor) next.searchParams.set(cursorParam, cursor);
+  return next.toString();
+}
+
+// Feed identity: the filters only, so paging or page size don't change it
+function feedId(url) {
+  const id = new URL(pageUrl(url, null, null));
+  id.searchParams.delete('limit');
+  return id.toString();
+}
+
+function buildAtom({ url, title, events, nextCursor, updated }) {
+  const origin = url.origin;
+  const entries = events.map(ev => `  <entry>
+    <id>${escXml(eventGuid(origin, ev))}</id>
+    <title>${escXml(ev.summary)}</title>
+    <updated>${ev.timestamp}</updated>
+    <published>${ev.timestamp}</published>
+    <author><name>${escXml(ev.agent?.displayName || 'System')}</name></author>
+    <category term="${escXml(ev.type)}"/>
+    <link rel="alternate" href="${escXml(origin + '/')}"/>
+    <summary>${escXml(summarizeEvent(ev))}</summary>
+  </entry>`).join('\n');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escXml(feedId(url))}</id>
+  <title>${escXml(title)}</title>
+  <subtitle>${escXml(SITE_DESCRIPTION)}</subtitle>
+  <updated>${updated}</updated>
+  <link rel="self" href="${escXml(url.toString())}"/>
+  <link rel="alternate" href="${escXml(origin + '/')}"/>${nextCursor ? `
+  <link rel="next" href="${escXml(pageUrl(url, 'before', nextCursor))}"/>` : ''}
+  <generator>aibtc-projects</generator>
+${entries}
+</feed>
+`;
+}
+
+function buildRss({ url, title, events, updated }) {
+  const origin = url.origin;
+  const items = events.map(ev => `    <item>
+      <guid isPermaLink="false">${escXml(eventGuid(origin, ev))}</guid>
+      <title>${escXml(ev.summary)}</title>
+      <description>${escXml(summarizeEvent(ev))}</description>
+      <link>${escXml(origin + '/')}</link>
+      <category>${escXml(ev.type)}</category>
+      <pubDate>${new Date(ev.timestamp).toUTCString()}</pubDate>
+    </item>`).join('\n');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escXml(title)}</title>
+    <link>${escXml(origin + '/')}</link>
+    <description>${escXml(SITE_DESCRIPTION)}</description>
+    <atom:link rel="self" type="application/rss+xml" href="${escXml(url.toString())}"/>
+    <lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>
+    <generator>aibtc-projects</generator>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+function buildJsonFeed({ url, title, events, nextCursor }) {
+  const origin = url.origin;
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title,
+    description: SITE_DESCRIPTION,
+    home_page_url: origin + '/',
+    feed_url: url.toString(),
+    items: events.map(ev => ({
+      id: eventGuid(origin, ev),
+      url: origin + '/',
+      title: ev.summary,
+      content_text: summarizeEvent(ev),
+      date_published: ev.timestamp,
+      authors: [{ name: ev.agent?.displayName || 'System' }],
+      tags: [ev.type],
+      _aibtc: { eventId: ev.id, type: ev.type, itemId: ev.itemId, agent: ev.agent, data: ev.data },
+    })),
+  };
+  if (nextCursor) feed.next_url = pageUrl(url, 'before', nextCursor);
+  return feed;
+}
+
+const CONTENT_TYPES = {
+  atom: 'application/atom+xml; charset=utf-8',
+  rss: 'application/rss+xml; charset=utf-8',
+};
+
+// Shared handler for /api/feed.atom, /api/feed.rss and /api/feed.json
+export async function feedResponse(context, format) {
+  const url = new URL(context.request.url);
+  const parsed = parseFeedQuery(url.searchParams);
+  if (parsed.error) {
+    return jsonResponse({ error: parsed.error }, 400, corsHeaders());
+  }
+
+  const { events, nextCursor } = await queryEvents(context.env, parsed.query);
+
+  // Per-item feeds are titled after the project
+  let title = SITE_TITLE;
+  if (parsed.query.itemId) {
+    const item = await getItem(context.env, parsed.query.itemId);
+    title = `${SITE_TITLE}: ${item?.title || events[0]?.itemTitle || parsed.query.itemId}`;
+  }
+
+  const updated = events[0]?.timestamp || new Date(0).toISOString();
+  const feed = { url, title, events, nextCursor, updated };
+  const headers = { ...corsHeaders(), 'Cache-Control': 'public, max-age=60' };
+
+  if (format === 'json') {
+    return new Response(JSON.stringify(buildJsonFeed(feed), null, 2), {
+      status: 200,
+      headers: { ...headers, 'Content-Type': 'application/feed+json; charset=utf-8' },
+    });
+  }
+
+  const body = format === 'rss' ? buildRss(feed) : buildAtom(feed);
+  return new Response(body, { status: 200, headers: { ...headers, 'Content-Type': CONTENT_TYPES[format] } });
+}
@@ -0,0 +1,247 @@
+// Shared GitHub REST client
+// Every GitHub API call goes through githubFetch, which:
+// - sends If-None-Match with the ETag of the endpoint's last 200 and serves
+//   the stored body on a 304 (conditional requests don't count against the
+//   rate limit)
+// - reads X-RateLimit-* and Retry-After, and stops calling GitHub until the
+//   limit resets once it is hit
+// /api/refresh also splits what is left of the hourly quota between its
+// GitHub scans with a budget, keeping a reserve for agents' own requests.
+// GraphQL queries draw on a separate quota and are only counted.
+
+const GITHUB_API = 'https://api.github.com';
+const ETAG_KEY_PREFIX = 'roadmap:github-etag:';
+const RATE_KEY = 'roadmap:github-rate';
+// Stored bodies expire a week after the endpoint last changed
+const ETAG_TTL_SECONDS = 7 * 24 * 3600;
+// Bigger bodies (long READMEs) are fetched in full every time
+const MAX_CACHED_BODY = 64 * 1024;
+// Share of the hourly limit /api/refresh leaves for agents' requests
+const RESERVE_FRACTION = 0.1;
+
+export function githubHeaders(env, accept = 'application/vnd.github+json') {
+  const headers = { 'User-Agent': 'aibtc-projects/1.0', Accept: accept };
+  // Use GitHub token if available (avoids 403 from shared Cloudflare IPs)
+  const token = env?.GITHUB_TOKEN;
+  if (token) headers['Authorization'] = `Bearer ${token}`;
+  return headers;
+}
+
+// True for a rate-limited response, real or one githubFetch made up because
+// the limit or the budget ran out
+export function isRateLimited(res) {
+  if (res.status === 429) return true;
+  return res.status === 403 && (res.headers.get('X-RateLimit-Remaining') === '0' || res.headers.has('Retry-After'));
+}
+
+function rateLimitedResponse(until) {
+  const seconds = until ? Math.max(1, Math.ceil((new Date(until).getTime() - Date.now()) / 1000)) : 60;
+  return new Response(JSON.stringify({ message: 'GitHub rate limit reached' }), {
+    status: 429,
+    headers: { 'Content-Type': 'application/json', 'Retry-After': String(seconds) },
+  });
+}
+
+// ── Rate Limit State ──
+// { limit, remaining, resetAt, blockedUntil, updatedAt }. Written when a
+// limit is hit and at the end of every /api/refresh run.
+
+async function getRateState(env) {
+  return await env.ROADMAP_KV.get(RATE_KEY, 'json') || {};
+}
+
+function isBlocked(blockedUntil) {
+  return !!blockedUntil && new Date(blockedUntil).getTime() > Date.now();
+}
+
+// Limit headers of a response, if it carries them
+function readRateHeaders(res) {
+  const remaining = res.headers.get('X-RateLimit-Remaining');
+  if (remaining === null) return null;
+  const reset = Number(res.headers.get('X-RateLimit-Reset'));
+  return {
+    limit: Number(res.headers.get('X-RateLimit-Limit')) || null,
+    remaining: Number(remaining),
+    resetAt: reset ? new Date(reset * 1000).toISOString() : null,
+  };
+}
+
+// When a rate-limited response says GitHub can be called again
+function blockedUntilFor(res, rate) {
+  const retryAfter = Number(res.headers.get('Retry-After'));
+  if (retryAfter) return new Date(Date.now() + retryAfter * 1000).toISOString();
+  return rate?.resetAt || new Date(Date.now() + 60_000).toISOString();
+}
+
+// ── Budget ──
+// One per /api/refresh run. `weights` maps each task to its share: a task
+// gets its weight's part of whatever the tasks before it left over.
+
+export async function startGithubBudget(env, weights) {
+  const rate = await getRateState(env);
+  const limit = rate.limit || (env.GITHUB_TOKEN ? 5000 : 60);
+  // A window that has reset since the last run is full again
+  const current = rate.resetAt && new Date(rate.resetAt).getTime() > Date.now();
+  const remaining = current ? rate.remaining : limit;
+  const reserve = Math.ceil(limit * RESERVE_FRACTION);
+  return {
+    limit,
+    remaining,
+    resetAt: current ? rate.resetAt : null,
+    blockedUntil: isBlocked(rate.blockedUntil) ? rate.blockedUntil : null,
+    reserve,
+    pool: Math.max(0, remaining - reserve),
+    weights,
+    tasks: {},
+    graphql: { queries: 0, remaining: null, rateLimited: false },
+  };
+}
+
+// The task's slot, allotted on first use
+function taskSlot(budget, task) {
+  if (!budget.tasks[task]) {
+    const pending = Object.keys(budget.weights).filter(t => !budget.tasks[t]);
+    const totalWeight = pending.reduce((sum, t) => sum + budget.weights[t], 0);
+    const weight = budget.weights[task] || 0;
+    budget.tasks[task] = {
+      allowance: totalWeight > 0 ? Math.floor(budget.pool * weight / totalWeight) : 0,
+      calls: 0,
+      notModified: 0,
+      rateLimited: false,
+    };
+  }
+  return budget.tasks[task];
+}
+
+// Whether the task may still call GitHub. Scans check this before each repo
+// so a spent budget ends the scan instead of piling up failures.
+export function hasGithubBudget(budget, task) {
+  if (!budget) return true;
+  const slot = taskSlot(budget, task);
+  if (isBlocked(budget.blockedUntil) || slot.calls >= slot.allowance) slot.rateLimited = true;
+  return !slot.rateLimited;
+}
+
+// Save what the run learned about the limit and report usage per task
+export async function finishGithubBudget(env, budget) {
+  await env.ROADMAP_KV.put(RATE_KEY, JSON.stringify({
+    limit: budget.limit,
+    remaining: budget.remaining,
+    resetAt: budget.resetAt,
+    blockedUntil: budget.blockedUntil,
+    updatedAt: new Date().toISOString(),
+  }));
+  // Tasks cut short by the deadline still show their allowance
+  const tasks = {};
+  for (const task of Object.keys(budget.weights)) tasks[task] = { ...taskSlot(budget, task) };
+  return {
+    limit: budget.limit,
+    remaining: budget.remaining,
+    resetAt: budget.resetAt,
+    rateLimited: isBlocked(budget.blockedUntil),
+    calls: Object.values(tasks).reduce((sum, t) => sum + t.calls, 0),
+    notModified: Object.values(tasks).reduce((sum, t) => sum + t.notModified, 0),
+    tasks,
+    graphql: { ...budget.graphql },
+  };
+}
+
+// ── Requests ──
+
+// Headers kept with a stored body: its type, and Link for paginated lists
+function cachedHeaders(entry) {
+  const headers = { 'Content-Type': entry.contentType };
+  if (entry.link) headers['Link'] = entry.link;
+  return headers;
+}
+
+// GET an API path ("/repos/o/r"). Resolves to a Response: the stored body
+// as a 200 when GitHub answers 304, or a 429 without calling GitHub while
+// rate-limited or, with `budget`, once `task` has spent its share.
+// `cache: false` skips the ETag store, for endpoints whose bodies are large
+// and change with every commit.
+export async function githubFetch(env, path, { accept, budget, task, cache = true } = {}) {
+  const headers = githubHeaders(env, accept);
+  const cacheKey = ETAG_KEY_PREFIX + (accept ? `${accept}:` : '') + path;
+  const [cached, rate] = await Promise.all([
+    cache ? env.ROADMAP_KV.get(cacheKey, 'json') : null,
+    budget ? null : getRateState(env),
+  ]);
+
+  if (budget) {
+    if (!hasGithubBudget(budget, task)) return rateLimitedResponse(budget.blockedUntil || budget.resetAt);
+  } else if (isBlocked(rate.blockedUntil)) {
+    return rateLimitedResponse(rate.blockedUntil);
+  }
+
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+  const res = await fetch(GITHUB_API + path, { headers });
+  const seen = readRateHeaders(res);
+  if (budget && seen) {
+    budget.remaining = seen.remaining;
+    budget.resetAt = seen.resetAt;
+    if (seen.limit) budget.limit = seen.limit;
+    // Other callers share the quota: never plan past what GitHub reports
+    budget.pool = Math.min(budget.pool, Math.max(0, seen.remaining - budget.reserve));
+  }
+
+  if (res.status === 304 && cached) {
+    if (budget) taskSlot(budget, task).notModified++;
+    return new Response(cached.body, { status: 200, headers: cachedHeaders(cached) });
+  }
+
+  if (budget) {
+    taskSlot(budget, task).calls++;
+    // The limit headers already count the call when GitHub sends them
+    if (!seen) budget.pool = Math.max(0, budget.pool - 1);
+  }
+
+  if (isRateLimited(res)) {
+    const until = blockedUntilFor(res, seen);
+    console.error('[githubFetch] rate limited until', until, path);
+    if (budget) {
+      budget.blockedUntil = until;
+      taskSlot(budget, task).rateLimited = true;
+    }
+    await env.ROADMAP_KV.put(RATE_KEY, JSON.stringify({ ...(rate || {}), ...seen, blockedUntil: until, updatedAt: new Date().toISOString() }));
+    return res;
+  }
+
+  const etag = res.headers.get('ETag');
+  if (!cache || !res.ok || !etag) return res;
+  const body = await res.text();
+  const entry = { etag, body, contentType: res.headers.get('Content-Type') || 'application/json', link: res.headers.get('Link') };
+  if (etag !== cached?.etag && body.length <= MAX_CACHED_BODY) {
+    await env.ROADMAP_KV.put(cacheKey, JSON.stringify(entry), { expirationTtl: ETAG_TTL_SECONDS });
+  }
+  return new Response(body, { status: res.status, headers: cachedHeaders(entry) });
+}
+
+// POST a GraphQL query (needs GITHUB_TOKEN). Resolves to { data, errors,
+// rateLimited }. GraphQL has its own points quota, separate from the REST
+// limit the budget splits: queries are counted in `budget.graphql`, never
+// charged to a task, and hitting the GraphQL limit only stops GraphQL.
+export async function githubGraphql(env, query, variables, { budget } = {}) {
+  if (budget?.graphql.rateLimited) return { data: null, errors: [], rateLimited: true };
+
+  const res = await fetch(GITHUB_API + '/graphql', {
+    method: 'POST',
+    headers: { ...githubHeaders(env), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query, variables }),
+  });
+  if (budget) {
+    budget.graphql.queries++;
+    const seen = readRateHeaders(res);
+    if (seen) budget.graphql.remaining = seen.remaining;
+  }
+
+  let body = null;
+  try { body = await res.json(); } catch {}
+  if (isRateLimited(res) || body?.errors?.some(e => e.type === 'RATE_LIMITED')) {
+    console.error('[githubGraphql] rate limited');
+    if (budget) budget.graphql.rateLimited = true;
+    return { data: null, errors: [], rateLimited: true };
+  }
+  if (!res.ok) return { data: null, errors: [{ message: `HTTP ${res.status}` }], rateLimited: false };
+  return { data: body?.data || null, errors: body?.errors || [], rateLimited: false };
+}
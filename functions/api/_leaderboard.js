@@ -0,0 +1,194 @@
+// Agent contribution leaderboard
+// Scores agents on what they ship: merged PRs and other deliverables, goals
+// completed on projects they lead, ratings and mentions those projects get.
+// /api/refresh folds new events from the log into per-agent counters (one
+// bucket per UTC day for the last 30 days, plus all-time totals), so each
+// run only reads events since the last one. Weights are applied at read
+// time, so changing them never needs a rebuild.
+// An event can land in the log after newer ones (a slow write, or KV
+// propagation), so each run re-reads SETTLE_MS behind its cursor and skips
+// the ids it has already counted.
+
+import { queryEvents, encodeCursor, decodeCursor } from './_events.js';
+import { getData } from './_tasks.js';
+
+const LEADERBOARD_KEY = 'roadmap:leaderboard';
+const PAGE_SIZE = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SETTLE_MS = 10 * 60 * 1000;
+
+// Points per counted unit; override any of them with the LEADERBOARD_WEIGHTS
+// env var, e.g. {"mergedPrs": 8, "mentions": 0}
+export const DEFAULT_WEIGHTS = {
+  mergedPrs: 5,       // merged PRs recorded as deliverables
+  deliverables: 2,    // other deliverables
+  goalsCompleted: 4,  // goals completed on projects the agent leads
+  ratingPoints: 1,    // per star above 3 on ratings of projects they lead (below 3 subtracts)
+  mentions: 0.5,      // network mentions of projects they lead
+};
+
+// window → days of history it covers (null = all time)
+export const WINDOWS = { '7d': 7, '30d': 30, 'all': null };
+const KEEP_DAYS = 30;
+
+export function getWeights(env) {
+  if (!env.LEADERBOARD_WEIGHTS) return { ...DEFAULT_WEIGHTS };
+  try {
+    const custom = JSON.parse(env.LEADERBOARD_WEIGHTS);
+    const weights = { ...DEFAULT_WEIGHTS };
+    for (const key of Object.keys(DEFAULT_WEIGHTS)) {
+      if (typeof custom[key] === 'number' && Number.isFinite(custom[key])) weights[key] = custom[key];
+    }
+    return weights;
+  } catch (err) {
+    console.error('[leaderboard] invalid LEADERBOARD_WEIGHTS, using defaults', err);
+    return { ...DEFAULT_WEIGHTS };
+  }
+}
+
+function emptyCounters() {
+  return { mergedPrs: 0, deliverables: 0, goalsCompleted: 0, ratingPoints: 0, mentions: 0 };
+}
+
+export async function getLeaderboardState(env) {
+  const raw = await env.ROADMAP_KV.get(LEADERBOARD_KEY, 'json');
+  return raw || { version: 1, cursor: null, processed: 0, computedAt: null, recent: {}, agents: {} };
+}
+
+// The agent an event earns points for, and what for. Returns [] when it
+// doesn't count.
+function creditsFor(ev, items) {
+  const item = items.get(ev.itemId);
+  const leader = item?.leader;
+
+  switch (ev.type) {
+    case 'item.deliverable_added':
+      if (!ev.agent?.btcAddress) return [];
+      return [[ev.agent, ev.data?.source === 'github_pr' ? 'mergedPrs' : 'deliverables', 1]];
+    case 'item.goal_completed':
+    case 'item.goal_reopened':
+      // Credited to whoever leads the project now, however the goal was closed
+      if (!leader) return [];
+      return [[leader, 'goalsCompleted', ev.type === 'item.goal_completed' ? 1 : -1]];
+    case 'item.rated': {
+      // Ratings from the project's own team earn nothing
+      if (!leader || ev.agent?.btcAddress === leader.btcAddress || ev.data?.affiliation) return [];
+      // A re-rating only counts the change from the agent's previous score
+      const previous = ev.data?.previousScore;
+      const delta = ev.data.score - (typeof previous === 'number' ? previous : 3);
+      return delta ? [[leader, 'ratingPoints', delta]] : [];
+    }
+    case 'item.mentioned':
+      if (!leader || ev.agent?.btcAddress === leader.btcAddress) return [];
+      return [[leader, 'mentions', 1]];
+    default:
+      return [];
+  }
+}
+
+function addCredit(state, who, key, amount, day) {
+  let entry = state.agents[who.btcAddress];
+  if (!entry) {
+    entry = state.agents[who.btcAddress] = { btcAddress: who.btcAddress, displayName: who.displayName, total: emptyCounters(), days: {} };
+  }
+  if (who.displayName) entry.displayName = who.displayName;
+  if (!entry.days[day]) entry.days[day] = emptyCounters();
+  entry.total[key] += amount;
+  entry.days[day][key] += amount;
+}
+
+// Drop day buckets that have aged out of the longest window
+function pruneDays(state, now) {
+  const oldest = new Date(now - (KEEP_DAYS - 1) * DAY_MS).toISOString().slice(0, 10);
+  for (const entry of Object.values(state.agents)) {
+    for (const day of Object.keys(entry.days)) {
+      if (day < oldest) delete entry.days[day];
+    }
+  }
+}
+
+// Fold events recorded since the last run into the counters. Called from /api/refresh.
+export async function updateLeaderboard(env, { deadline } = {}) {
+  const state = await getLeaderboardState(env);
+  const items = new Map((await getData(env, { includeDeleted: true })).items.map(i => [i.id, i]));
+  // First run starts from the beginning of the log
+  let cursor = state.cursor || encodeCursor({ timestamp: '1970-01-01T00:00:00.000Z', id: '0' });
+  // id → timestamp of the events counted within SETTLE_MS of the cursor.
+  // State saved before these were kept counted everything up to its cursor.
+  const recent = state.recent || {};
+  const countedUpTo = state.recent ? null : decodeCursor(cursor);
+  const settleFrom = new Date(new Date(decodeCursor(cursor).split('|')[0]).getTime() - SETTLE_MS).toISOString();
+  let from = encodeCursor({ timestamp: settleFrom, id: '0' });
+  let processed = 0;
+  let timedOut = false;
+
+  for (;;) {
+    if (deadline && Date.now() >= deadline) { timedOut = true; break; }
+    const { events, prevCursor } = await queryEvents(env, { after: from, limit: PAGE_SIZE });
+    if (events.length === 0) break;
+    // Newest first from queryEvents; count them in the order they happened
+    for (const ev of [...events].reverse()) {
+      if (recent[ev.id]) continue;
+      recent[ev.id] = ev.timestamp;
+      if (countedUpTo && `${ev.timestamp}|${ev.id}` <= countedUpTo) continue;
+      for (const [who, key, amount] of creditsFor(ev, items)) {
+        addCredit(state, who, key, amount, ev.timestamp.slice(0, 10));
+      }
+      processed++;
+    }
+    from = prevCursor;
+    // The cursor only moves forward, even when the window turns up older events
+    if (decodeCursor(prevCursor) > decodeCursor(cursor)) cursor = prevCursor;
+    if (events.length < PAGE_SIZE) break;
+  }
+
+  // Forget counted ids that have fallen out of the next run's window
+  const keepFrom = new Date(new Date(decodeCursor(cursor).split('|')[0]).getTime() - SETTLE_MS).toISOString();
+  for (const [id, timestamp] of Object.entries(recent)) {
+    if (timestamp < keepFrom) delete recent[id];
+  }
+
+  pruneDays(state, Date.now());
+  state.cursor = cursor;
+  state.recent = recent;
+  state.processed = (state.processed || 0) + processed;
+  state.computedAt = new Date().toISOString();
+  await env.ROADMAP_KV.put(LEADERBOARD_KEY, JSON.stringify(state));
+
+  return { processed, agents: Object.keys(state.agents).length, timedOut };
+}
+
+function scoreOf(counters, weights) {
+  const score = Object.keys(weights).reduce((s, key) => s + (counters[key] || 0) * weights[key], 0);
+  return Math.round(score * 10) / 10;
+}
+
+// Counters for one agent over a window ('7d', '30d' or 'all')
+function windowCounters(entry, window, now) {
+  const days = WINDOWS[window];
+  if (days === null) return entry.total;
+  const since = new Date(now - (days - 1) * DAY_MS).toISOString().slice(0, 10);
+  const sum = emptyCounters();
+  for (const [day, counters] of Object.entries(entry.days)) {
+    if (day < since) continue;
+    for (const key of Object.keys(sum)) sum[key] += counters[key] || 0;
+  }
+  return sum;
+}
+
+// Ranked agents for a window. Agents with nothing to show in the window are left out.
+export function rankAgents(state, window, weights, now = Date.now()) {
+  const ranked = Object.values(state.agents)
+    .map(entry => {
+      const breakdown = windowCounters(entry, window, now);
+      return { btcAddress: entry.btcAddress, displayName: entry.displayName, score: scoreOf(breakdown, weights), breakdown };
+    })
+    .filter(a => Object.values(a.breakdown).some(v => v !== 0))
+    .sort((a, b) => b.score - a.score || (a.displayName || '').localeCompare(b.displayName || ''));
+
+  // Equal scores share a rank
+  ranked.forEach((a, i) => {
+    a.rank = i > 0 && ranked[i - 1].score === a.score ? ranked[i - 1].rank : i + 1;
+  });
+  return ranked;
+}
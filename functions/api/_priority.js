@@ -0,0 +1,175 @@
+// Vote-based priority ranking
+// Each agent submits a ranked ballot (top BALLOT_SIZE items, most important
+// first), stored under its own key. The board order is the aggregate of all
+// ballots, with older ballots decaying so the ranking tracks current opinion.
+// Moderators can pin an explicit order on top of the vote ranking.
+
+const VOTE_PREFIX = 'roadmap:vote:';
+const PRIORITY_KEY = 'roadmap:priority';
+// Kept apart from the computed scores so recomputes and overrides never race
+const OVERRIDE_KEY = 'roadmap:priority-override';
+
+export const BALLOT_SIZE = 10;
+// A ballot's weight halves every 30 days without being resubmitted
+export const VOTE_HALF_LIFE_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Points for a position on a ballot: #1 gets BALLOT_SIZE, #10 gets 1
+function pointsFor(position) {
+  return BALLOT_SIZE - position;
+}
+
+function decayWeight(votedAt, now) {
+  const ageDays = Math.max(0, (now - new Date(votedAt).getTime()) / DAY_MS);
+  return Math.pow(0.5, ageDays / VOTE_HALF_LIFE_DAYS);
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+export async function getBallot(env, btcAddress) {
+  return env.ROADMAP_KV.get(VOTE_PREFIX + btcAddress, 'json');
+}
+
+export async function saveBallot(env, agent, rankedIds) {
+  const ballot = {
+    btcAddress: agent.btcAddress,
+    displayName: agent.displayName,
+    agentId: agent.agentId || null,
+    rankedIds,
+    votedAt: new Date().toISOString(),
+  };
+  await env.ROADMAP_KV.put(VOTE_PREFIX + agent.btcAddress, JSON.stringify(ballot));
+  return ballot;
+}
+
+export async function deleteBallot(env, btcAddress) {
+  await env.ROADMAP_KV.delete(VOTE_PREFIX + btcAddress);
+}
+
+async function getBallots(env) {
+  const names = [];
+  let cursor;
+  do {
+    const page = await env.ROADMAP_KV.list({ prefix: VOTE_PREFIX, cursor });
+    names.push(...page.keys.map(k => k.name));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  const ballots = await Promise.all(names.map(name => env.ROADMAP_KV.get(name, 'json')));
+  return ballots.filter(Boolean);
+}
+
+export async function getPriority(env) {
+  const [raw, override] = await Promise.all([
+    env.ROADMAP_KV.get(PRIORITY_KEY, 'json'),
+    env.ROADMAP_KV.get(OVERRIDE_KEY, 'json'),
+  ]);
+  const priority = raw || { version: 1, scores: {}, voters: 0, computedAt: null };
+  priority.override = override || null;
+  return priority;
+}
+
+// Recompute aggregate scores from every ballot.
+// KV listings lag behind writes, so callers pass the ballot they just saved
+// (or the address they just withdrew) to make sure it's counted correctly.
+export async function computePriority(env, { ballot: fresh = null, withdrawn = null } = {}) {
+  const skip = fresh?.btcAddress || withdrawn;
+  const ballots = (await getBallots(env)).filter(b => b.btcAddress !== skip);
+  if (fresh) ballots.push(fresh);
+  const now = Date.now();
+  const scores = {};
+
+  for (const ballot of ballots) {
+    const weight = decayWeight(ballot.votedAt, now);
+    (ballot.rankedIds || []).slice(0, BALLOT_SIZE).forEach((id, position) => {
+      scores[id] = (scores[id] || 0) + pointsFor(position) * weight;
+    });
+  }
+  for (const id of Object.keys(scores)) scores[id] = round(scores[id]);
+
+  const priority = { version: 1, scores, voters: ballots.length, computedAt: new Date().toISOString() };
+  await env.ROADMAP_KV.put(PRIORITY_KEY, JSON.stringify(priority));
+  return priority;
+}
+
+// Moderator override: pinned ids go first in the given order. Empty clears it.
+export async function setOverride(env, agent, orderedIds) {
+  if (orderedIds.length === 0) {
+    await env.ROADMAP_KV.delete(OVERRIDE_KEY);
+    return null;
+  }
+  const override = {
+    orderedIds,
+    setBy: { btcAddress: agent.btcAddress, displayName: agent.displayName },
+    setAt: new Date().toISOString(),
+  };
+  await env.ROADMAP_KV.put(OVERRIDE_KEY, JSON.stringify(override));
+  return override;
+}
+
+// Order items by priority: pinned first, then by vote score. Ties keep the
+// incoming (index) order. Annotates each item with item.priority.
+export function orderItems(items, priority) {
+  const pinned = priority.override?.orderedIds || [];
+  const pinIndex = new Map(pinned.map((id, i) => [id, i]));
+  const position = new Map(items.map((item, i) => [item.id, i]));
+
+  const ordered = [...items].sort((a, b) => {
+    const pa = pinIndex.has(a.id), pb = pinIndex.has(b.id);
+    if (pa && pb) return pinIndex.get(a.id) - pinIndex.get(b.id);
+    if (pa !== pb) return pa ? -1 : 1;
+    const diff = (priority.scores[b.id] || 0) - (priority.scores[a.id] || 0);
+    return diff !== 0 ? diff : position.get(a.id) - position.get(b.id);
+  });
+
+  ordered.forEach((item, i) => {
+    item.priority = { rank: i + 1, score: priority.scores[item.id] || 0, pinned: pinIndex.has(item.id) };
+  });
+  return ordered;
+}
+
+// Break down how an item earned its rank, voter by voter
+export async function explainRank(env, items, itemId) {
+  const priority = await getPriority(env);
+  const ordered = orderItems(items, priority);
+  const item = ordered.find(i => i.id === itemId);
+  if (!item) return null;
+
+  const now = Date.now();
+  const ballots = await getBallots(env);
+  const votes = [];
+  for (const ballot of ballots) {
+    const position = (ballot.rankedIds || []).slice(0, BALLOT_SIZE).indexOf(itemId);
+    if (position === -1) continue;
+    const weight = decayWeight(ballot.votedAt, now);
+    votes.push({
+      btcAddress: ballot.btcAddress,
+      displayName: ballot.displayName,
+      position: position + 1,
+      points: pointsFor(position),
+      weight: round(weight),
+      contribution: round(pointsFor(position) * weight),
+      votedAt: ballot.votedAt,
+    });
+  }
+  votes.sort((a, b) => b.contribution - a.contribution);
+
+  return {
+    itemId,
+    itemTitle: item.title,
+    rank: item.priority.rank,
+    total: ordered.length,
+    score: item.priority.score,
+    pinned: item.priority.pinned,
+    override: item.priority.pinned ? priority.override : null,
+    votes,
+    method: {
+      ballotSize: BALLOT_SIZE,
+      points: `position 1 = ${BALLOT_SIZE} points, position ${BALLOT_SIZE} = 1 point`,
+      halfLifeDays: VOTE_HALF_LIFE_DAYS,
+    },
+    computedAt: priority.computedAt,
+  };
+}
@@ -0,0 +1,141 @@
+// Project reputation
+// A project's score is a weighted Bayesian average of its ratings:
+// - ratings from the project's own team (founder, leader, claimant or an
+//   earlier contributor) are flagged and left out of the adjusted score
+// - every other rating counts in proportion to the rater's standing, so a
+//   brand-new agent moves the score less than one with a track record
+// - ratings whose review was hidden by flags or a moderator don't count
+// - PRIOR_WEIGHT neutral votes are mixed in, so a project with a single
+//   5-star rating doesn't top the `rating` sort
+// The plain mean is kept as rawAverage so the weighting stays visible.
+
+import { getLeaderboardState } from './_leaderboard.js';
+import { getData, getItem, saveItem } from './_tasks.js';
+
+export const PRIOR_SCORE = 3;
+export const PRIOR_WEIGHT = 2;
+
+// Rater weights range from MIN_WEIGHT (any registered agent) to 1
+const MIN_WEIGHT = 0.25;
+const IDENTITY_WEIGHT = 0.25;  // on-chain (ERC-8004) agent identity
+const FULL_TRACK_RECORD = 5;   // shipped contributions for full weight
+
+// Review moderation: a review is hidden once REVIEW_FLAG_THRESHOLD agents
+// have flagged it, or when a moderator hides it. Hidden ratings don't count
+// toward the score either.
+export const REVIEW_FLAG_THRESHOLD = 3;
+export const REVIEW_FLAG_REASONS = ['spam', 'abusive', 'off-topic', 'conflict-of-interest', 'other'];
+// Earlier versions of one agent's rating kept on the rating
+export const MAX_RATING_HISTORY = 50;
+
+const round = (n, places) => Math.round(n * 10 ** places) / 10 ** places;
+
+// A rater's standing as a weight. The track record is what they've shipped
+// according to the leaderboard: merged PRs, deliverables and completed goals.
+export function standingWeight(rater, leaderboardEntry) {
+  const t = leaderboardEntry?.total;
+  const shipped = t ? t.mergedPrs + t.deliverables + Math.max(0, t.goalsCompleted) : 0;
+  const track = Math.min(shipped, FULL_TRACK_RECORD) / FULL_TRACK_RECORD;
+  const identity = rater.agentId != null ? IDENTITY_WEIGHT : 0;
+  return round(MIN_WEIGHT + identity + (1 - MIN_WEIGHT - IDENTITY_WEIGHT) * track, 2);
+}
+
+// How a rater is tied to the project, or null for an outside rating.
+// Call before the rating is stored. Ratings made before affiliations were
+// tracked may have added the rater as a contributor, so a re-rating of one
+// of those skips the contributor check.
+export function raterAffiliation(item, btcAddress, previousRating) {
+  if (item.founder?.btcAddress === btcAddress) return 'founder';
+  if (item.leader?.btcAddress === btcAddress) return 'leader';
+  if (item.claimedBy?.btcAddress === btcAddress) return 'claimant';
+  if (previousRating && previousRating.affiliation === undefined) return null;
+  if ((item.contributors || []).some(c => c.btcAddress === btcAddress)) return 'contributor';
+  return null;
+}
+
+// Bring every rating's weight up to date with its rater's standing. Legacy
+// ratings with no recorded affiliation are checked against the founder and
+// leader only. Returns true if anything changed.
+export function reweighRatings(item, leaderboardState) {
+  let changed = false;
+  for (const r of item.ratings || []) {
+    if (r.affiliation === undefined) {
+      r.affiliation = raterAffiliation({ founder: item.founder, leader: item.leader }, r.btcAddress);
+      changed = true;
+    }
+    const weight = standingWeight(r, leaderboardState.agents[r.btcAddress]);
+    if (r.weight !== weight) {
+      r.weight = weight;
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+export function isReviewHidden(rating) {
+  const moderation = rating.moderation;
+  if (moderation?.action === 'hidden') return true;
+  // Once a moderator has approved a review, only newer flags count
+  const flags = (rating.flags || []).filter(f => !moderation || f.flaggedAt > moderation.at);
+  return flags.length >= REVIEW_FLAG_THRESHOLD;
+}
+
+export function computeReputation(ratings) {
+  const count = ratings?.length || 0;
+  if (count === 0) {
+    return { average: 0, count: 0, rawAverage: 0, counted: 0, affiliated: 0, hidden: 0, weight: 0, prior: { score: PRIOR_SCORE, weight: PRIOR_WEIGHT } };
+  }
+  const rawAverage = ratings.reduce((s, r) => s + r.score, 0) / count;
+
+  const counted = ratings.filter(r => !r.affiliation && !r.hidden);
+  const weight = counted.reduce((s, r) => s + (r.weight ?? MIN_WEIGHT), 0);
+  const weightedSum = counted.reduce((s, r) => s + r.score * (r.weight ?? MIN_WEIGHT), 0);
+  // Only the team has rated it: nothing to go on
+  const average = counted.length
+    ? (PRIOR_SCORE * PRIOR_WEIGHT + weightedSum) / (PRIOR_WEIGHT + weight)
+    : 0;
+
+  return {
+    average: round(average, 1),
+    count,
+    rawAverage: round(rawAverage, 1),
+    counted: counted.length,
+    affiliated: ratings.filter(r => r.affiliation).length,
+    hidden: ratings.filter(r => r.hidden && !r.affiliation).length,
+    weight: round(weight, 2),
+    prior: { score: PRIOR_SCORE, weight: PRIOR_WEIGHT },
+  };
+}
+
+// Re-weigh ratings as raters' standings change. Called from /api/refresh
+// after the leaderboard update.
+export async function refreshReputation(env, { deadline } = {}) {
+  const state = await getLeaderboardState(env);
+  const data = await getData(env);
+  let updated = 0;
+  let timedOut = false;
+
+  for (const snapshot of data.items) {
+    if (!snapshot.ratings?.length) continue;
+    if (deadline && Date.now() >= deadline) { timedOut = true; break; }
+
+    const before = JSON.stringify(snapshot.reputation);
+    const changed = reweighRatings(snapshot, state);
+    if (!changed && JSON.stringify(computeReputation(snapshot.ratings)) === before) continue;
+
+    // Re-read so a rating that landed meanwhile isn't lost
+    const item = await getItem(env, snapshot.id);
+    if (!item) continue;
+    reweighRatings(item, state);
+    item.reputation = computeReputation(item.ratings);
+    try {
+      await saveItem(env, item);
+      updated++;
+    } catch (err) {
+      // Picked up again on the next run
+      if (err.name !== 'ConcurrencyError') throw err;
+    }
+  }
+
+  return { updated, timedOut };
+}
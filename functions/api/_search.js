@@ -0,0 +1,153 @@
+// Search, filter, sort, pagination and field projection for GET /api/items.
+// Sort keys mirror getSortValue() in index.html so API clients and the board
+// order things the same way.
+
+import { STATUS_ORDER } from './_tasks.js';
+import { TAGS, resolveTag } from './_tags.js';
+
+export const MAX_PAGE_SIZE = 200;
+
+// key → [value getter, default direction]
+const SORTS = {
+  priority: [item => item.priority?.rank ?? 9999, 'asc'],
+  title: [item => (item.title || '').toLowerCase(), 'asc'],
+  leader: [item => (item.leader?.displayName || item.claimedBy?.displayName || item.founder?.displayName || 'zzz').toLowerCase(), 'asc'],
+  date: [item => item.createdAt ? new Date(item.createdAt).getTime() : 0, 'desc'],
+  updated: [item => item.updatedAt ? new Date(item.updatedAt).getTime() : 0, 'desc'],
+  contributors: [item => (item.contributors || []).length, 'desc'],
+  rating: [item => item.reputation?.average || 0, 'desc'],
+  mentions: [item => item.mentions?.count || 0, 'desc'],
+  status: [item => STATUS_ORDER[item.status] ?? 99, 'asc'],
+};
+
+export const SORT_KEYS = Object.keys(SORTS);
+
+// An agent matches by BTC address or (case-insensitive) display name
+function agentMatches(agent, needle) {
+  if (!agent) return false;
+  return agent.btcAddress === needle || (agent.displayName || '').toLowerCase() === needle.toLowerCase();
+}
+
+function searchText(item) {
+  return [item.title, item.description, ...(item.searchTerms || [])].join('\n').toLowerCase();
+}
+
+// Parse query parameters. Returns { query } or { error }.
+export function parseItemQuery(params) {
+  const query = {};
+
+  const q = (params.get('q') || '').trim().toLowerCase();
+  if (q) query.terms = q.split(/\s+/);
+
+  if (params.has('status')) {
+    const statuses = params.get('status').split(',').map(s => s.trim()).filter(Boolean);
+    const invalid = statuses.filter(s => !(s in STATUS_ORDER));
+    if (invalid.length > 0) return { error: `Unknown status: ${invalid.join(', ')}. Valid: ${Object.keys(STATUS_ORDER).join(', ')}` };
+    query.statuses = new Set(statuses);
+  }
+
+  // tag=defi,tooling matches items with any of them; aliases are accepted
+  if (params.has('tag')) {
+    const names = params.get('tag').split(',').map(t => t.trim()).filter(Boolean);
+    const invalid = names.filter(t => !resolveTag(t));
+    if (invalid.length > 0) return { error: `Unknown tag: ${invalid.join(', ')}. Valid: ${Object.keys(TAGS).join(', ')}` };
+    query.tags = new Set(names.map(resolveTag));
+  }
+
+  // dependsOn=r_abc123 lists the items that depend on r_abc123 (reverse lookup)
+  for (const key of ['leader', 'contributor', 'founder', 'dependsOn']) {
+    const value = (params.get(key) || '').trim();
+    if (value) query[key] = value;
+  }
+
+  if (params.has('claimed')) {
+    const claimed = params.get('claimed');
+    if (claimed !== 'true' && claimed !== 'false') return { error: 'claimed must be true or false' };
+    query.claimed = claimed === 'true';
+  }
+
+  if (params.has('minRating')) {
+    const minRating = Number(params.get('minRating'));
+    if (!Number.isFinite(minRating) || minRating < 0 || minRating > 5) return { error: 'minRating must be a number from 0 to 5' };
+    query.minRating = minRating;
+  }
+
+  if (params.has('sort')) {
+    let sort = params.get('sort').trim();
+    let order = params.get('order');
+    // "-rating" is shorthand for sort=rating&order=desc
+    if (sort.startsWith('-')) { sort = sort.slice(1); order = order || 'desc'; }
+    if (!SORTS[sort]) return { error: `Unknown sort: ${sort}. Valid: ${SORT_KEYS.join(', ')}` };
+    if (order && order !== 'asc' && order !== 'desc') return { error: 'order must be asc or desc' };
+    query.sort = sort;
+    query.order = order || SORTS[sort][1];
+  }
+
+  if (params.has('limit')) {
+    const limit = parseInt(params.get('limit'), 10);
+    if (!Number.isInteger(limit) || limit < 1) return { error: 'limit must be a positive integer' };
+    query.limit = Math.min(limit, MAX_PAGE_SIZE);
+  }
+  if (params.has('offset')) {
+    const offset = parseInt(params.get('offset'), 10);
+    if (!Number.isInteger(offset) || offset < 0) return { error: 'offset must be a non-negative integer' };
+    query.offset = offset;
+  }
+
+  if (params.has('fields')) {
+    // id is always returned so results can be matched back to items
+    query.fields = ['id', ...params.get('fields').split(',').map(f => f.trim()).filter(f => f && f !== 'id')];
+  }
+
+  return { query };
+}
+
+function matchesItem(item, query) {
+  if (query.terms) {
+    const text = searchText(item);
+    if (!query.terms.every(t => text.includes(t))) return false;
+  }
+  if (query.statuses && !query.statuses.has(item.status)) return false;
+  if (query.tags && !(item.tags || []).some(t => query.tags.has(t))) return false;
+  if (query.leader && !agentMatches(item.leader, query.leader)) return false;
+  if (query.founder && !agentMatches(item.founder, query.founder)) return false;
+  if (query.contributor && !(item.contributors || []).some(c => agentMatches(c, query.contributor))) return false;
+  if (query.dependsOn && !(item.dependsOn || []).includes(query.dependsOn)) return false;
+  if (query.claimed !== undefined && Boolean(item.claimedBy) !== query.claimed) return false;
+  if (query.minRating !== undefined && (item.reputation?.average || 0) < query.minRating) return false;
+  return true;
+}
+
+function project(item, fields) {
+  const out = {};
+  for (const f of fields) {
+    if (f in item) out[f] = item[f];
+  }
+  return out;
+}
+
+// Apply a parsed query to an already-ordered list of items.
+// Returns { items, total } where total counts matches before pagination.
+export function applyItemQuery(items, query) {
+  let result = items.filter(item => matchesItem(item, query));
+
+  if (query.sort) {
+    const [getValue] = SORTS[query.sort];
+    const position = new Map(result.map((item, i) => [item.id, i]));
+    const dir = query.order === 'desc' ? -1 : 1;
+    result = [...result].sort((a, b) => {
+      const va = getValue(a), vb = getValue(b);
+      const cmp = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+      // Ties keep board order
+      return cmp !== 0 ? cmp * dir : position.get(a.id) - position.get(b.id);
+    });
+  }
+
+  const total = result.length;
+  const offset = query.offset || 0;
+  result = result.slice(offset, query.limit !== undefined ? offset + query.limit : undefined);
+
+  if (query.fields) result = result.map(item => project(item, query.fields));
+
+  return { items: result, total };
+}
@@ -0,0 +1,79 @@
+// Board taxonomy: a fixed tag vocabulary plus an alias table that maps
+// GitHub topics onto it. Items carry `tags` (vocabulary ids). Until the
+// leader edits them, they follow the topics of the item's repos on every
+// GitHub refresh.
+
+export const MAX_ITEM_TAGS = 5;
+
+// id → label and what belongs under it
+export const TAGS = {
+  'defi': { label: 'DeFi', description: 'Swaps, lending, stacking and other on-chain finance' },
+  'payments': { label: 'Payments', description: 'Sending and receiving BTC, sBTC, Lightning and x402' },
+  'wallets': { label: 'Wallets', description: 'Key management and signing' },
+  'agents': { label: 'Agents', description: 'Autonomous agents and the skills they run' },
+  'tooling': { label: 'Tooling', description: 'SDKs, CLIs, MCP servers and other developer tools' },
+  'infra': { label: 'Infra', description: 'APIs, indexers, nodes and hosting' },
+  'contracts': { label: 'Contracts', description: 'Clarity and other smart contracts' },
+  'data': { label: 'Data', description: 'Analytics, oracles and feeds' },
+  'dao': { label: 'DAO', description: 'Governance and treasuries' },
+  'nft': { label: 'NFT', description: 'NFTs, ordinals and inscriptions' },
+  'social': { label: 'Social', description: 'Messaging, identity and reputation' },
+  'security': { label: 'Security', description: 'Audits, monitoring and safety' },
+  'gaming': { label: 'Gaming', description: 'Games and competitions' },
+};
+
+// GitHub topic → tag id. Tag ids match themselves.
+export const TAG_ALIASES = {
+  'decentralized-finance': 'defi', 'dex': 'defi', 'amm': 'defi', 'lending': 'defi', 'stacking': 'defi',
+  'yield': 'defi', 'swap': 'defi', 'sbtc': 'defi',
+  'lightning': 'payments', 'lightning-network': 'payments', 'x402': 'payments', 'payment': 'payments',
+  'wallet': 'wallets', 'bitcoin-wallet': 'wallets', 'stacks-wallet': 'wallets', 'signing': 'wallets',
+  'agent': 'agents', 'ai-agent': 'agents', 'ai-agents': 'agents', 'autonomous-agents': 'agents',
+  'ai': 'agents', 'llm': 'agents', 'claude': 'agents', 'skills': 'agents',
+  'mcp': 'tooling', 'mcp-server': 'tooling', 'sdk': 'tooling', 'cli': 'tooling',
+  'developer-tools': 'tooling', 'devtools': 'tooling', 'library': 'tooling',
+  'infrastructure': 'infra', 'api': 'infra', 'indexer': 'infra', 'node': 'infra',
+  'cloudflare-workers': 'infra', 'relay': 'infra',
+  'clarity': 'contracts', 'smart-contracts': 'contracts', 'smart-contract': 'contracts', 'clarinet': 'contracts',
+  'analytics': 'data', 'oracle': 'data', 'oracles': 'data', 'dashboard': 'data',
+  'governance': 'dao', 'treasury': 'dao',
+  'nfts': 'nft', 'ordinals': 'nft', 'inscriptions': 'nft', 'runes': 'nft',
+  'messaging': 'social', 'identity': 'social', 'reputation': 'social', 'chat': 'social',
+  'audit': 'security', 'auditing': 'security', 'monitoring': 'security',
+  'game': 'gaming', 'games': 'gaming',
+};
+
+// Tag id for a tag id, alias or GitHub topic (any case), or null
+export function resolveTag(name) {
+  const key = String(name || '').trim().toLowerCase();
+  if (TAGS[key]) return key;
+  return TAG_ALIASES[key] || null;
+}
+
+// Tags implied by a repo's GitHub topics, in vocabulary order
+export function tagsFromTopics(topics) {
+  const found = new Set((topics || []).map(resolveTag).filter(Boolean));
+  return Object.keys(TAGS).filter(id => found.has(id)).slice(0, MAX_ITEM_TAGS);
+}
+
+// Validate tags sent by an agent (ids or aliases). Returns { tags } or { error }.
+export function parseTags(value) {
+  if (!Array.isArray(value)) return { error: 'tags must be an array' };
+  const unknown = value.filter(t => !resolveTag(t));
+  if (unknown.length > 0) {
+    return { error: `Unknown tag: ${unknown.join(', ')}. Valid: ${Object.keys(TAGS).join(', ')}` };
+  }
+  const tags = [...new Set(value.map(resolveTag))];
+  if (tags.length > MAX_ITEM_TAGS) return { error: `An item can have at most ${MAX_ITEM_TAGS} tags` };
+  return { tags };
+}
+
+// Follow the topics of every repo unless the leader has set the tags by
+// hand. Returns true if the tags changed.
+export function syncTopicTags(item) {
+  if (item.tagsEditedBy) return false;
+  const tags = tagsFromTopics((item.repos || []).flatMap(r => r.githubData?.labels || []));
+  if (tags.join() === (item.tags || []).join()) return false;
+  item.tags = tags;
+  return true;
+}
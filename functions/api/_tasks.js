@@ -1,8 +1,13 @@
 // Shared background task functions used by both items.js and refresh.js
 
-import { recordEvent } from './_auth.js';
-
-const KV_KEY = 'roadmap:items';
+import { recordEvent, getEventDays, getDayBuckets, saveBucket } from './_events.js';
+import { tagsFromTopics, syncTopicTags } from './_tags.js';
+import { githubFetch, githubGraphql, isRateLimited, hasGithubBudget } from './_github.js';
+
+const LEGACY_KV_KEY = 'roadmap:items';
+const INDEX_KEY = 'roadmap:index';
+const ITEM_KEY_PREFIX = 'roadmap:item:';
+const SCHEMA_VERSION = 11;
 const STALE_AFTER_MS = 15 * 60 * 1000; // 15 minutes
 const MENTION_SCAN_KEY = 'roadmap:mention-scan';
 const MENTION_SCAN_COOLDOWN_MS = 10 * 60 * 1000; // 10 minutes
@@ -10,6 +15,7 @@ const MESSAGE_ARCHIVE_KEY = 'roadmap:message-archive';
 const MAX_ARCHIVED_MESSAGES = 2000;
 const GITHUB_MAP_KEY = 'roadmap:github-map';
 const GITHUB_SCAN_KEY = 'roadmap:github-scan';
+const GITHUB_WEBHOOK_KEY = 'roadmap:github-webhook';
 const GITHUB_SCAN_COOLDOWN_MS = 15 * 60 * 1000; // 15 minutes
 
 // Seed mappings: GitHub username → AIBTC agent BTC address
@@ -25,14 +31,18 @@ export class ConcurrencyError extends Error {
   constructor() { super('Concurrent write detected'); this.name = 'ConcurrencyError'; }
 }
 
-export async function getData(env) {
-  const raw = await env.ROADMAP_KV.get(KV_KEY, 'json');
-  const data = raw || { version: 1, items: [] };
+// ── Item Storage ──
+// Each item lives under its own key (roadmap:item:{id}) with a per-item
+// writeVersion for optimistic concurrency. roadmap:index holds the ordered
+// list of ids, so writes to different items never conflict.
 
-  // Initialize writeVersion if missing
-  if (typeof data.writeVersion !== 'number') data.writeVersion = 0;
+function itemKey(id) {
+  return ITEM_KEY_PREFIX + id;
+}
 
-  // Lazy migration: normalize items missing new fields
+// Lazy migrations from the single-blob era (v5 → v10), applied once while
+// splitting the legacy blob into per-item keys
+function migrateLegacyData(data) {
   if (data.version < 5) {
     for (const item of data.items) {
       if (item.claimedBy === undefined) item.claimedBy = null;
@@ -102,6 +112,111 @@ export async function getData(env) {
   return data;
 }
 
+// Normalize a stored item on read. Items are migrated one key at a time, so
+// every step here must be idempotent (no schema version to gate on).
+function normalizeItem(item) {
+  if (typeof item.writeVersion !== 'number') item.writeVersion = 0;
+  if (!Array.isArray(item.goals)) item.goals = [];
+  for (const goal of item.goals) {
+    // Benchmarks from before roadmaps only had a completed flag
+    if (!goal.status) goal.status = goal.completed ? 'done' : 'planned';
+    if (goal.dueDate === undefined) goal.dueDate = null;
+    if (goal.description === undefined) goal.description = '';
+  }
+  if (!item.progress) item.progress = computeProgress(item.goals);
+  if (!Array.isArray(item.dependsOn)) item.dependsOn = [];
+  if (!Array.isArray(item.tasks)) item.tasks = [];
+  if (!item.taskCounts) item.taskCounts = computeTaskCounts(item.tasks);
+  if (!Array.isArray(item.repos)) {
+    // Items from before multi-repo projects had a single githubUrl
+    item.repos = item.githubUrl
+      ? [{ url: item.githubUrl, primary: true, githubData: item.githubData || null, addedAt: item.createdAt || null }]
+      : [];
+    syncRepoSummary(item);
+  }
+  for (const d of item.deliverables || []) {
+    if (d.repo === undefined) d.repo = repoForUrl(item, d.url);
+  }
+  if (!Array.isArray(item.tags)) item.tags = tagsFromTopics(item.githubData?.labels);
+  if (item.tagsEditedBy === undefined) item.tagsEditedBy = null;
+  return item;
+}
+
+// One-time migration: split the legacy `roadmap:items` blob into per-item keys.
+// The blob itself is left in place as a backup.
+async function migrateFromBlob(env) {
+  const raw = await env.ROADMAP_KV.get(LEGACY_KV_KEY, 'json');
+  const index = { version: SCHEMA_VERSION, ids: [], writeVersion: 0, updatedAt: new Date().toISOString() };
+  if (raw) {
+    const data = migrateLegacyData(raw);
+    for (const item of data.items) {
+      item.writeVersion = 1;
+      await env.ROADMAP_KV.put(itemKey(item.id), JSON.stringify(item));
+      index.ids.push(item.id);
+    }
+    if (raw.updatedAt) index.updatedAt = raw.updatedAt;
+    console.error('[migrateFromBlob] migrated', index.ids.length, 'items to per-item keys');
+  }
+  await env.ROADMAP_KV.put(INDEX_KEY, JSON.stringify(index));
+  return index;
+}
+
+export async function getIndex(env) {
+  const index = await env.ROADMAP_KV.get(INDEX_KEY, 'json');
+  if (index) return index;
+  return migrateFromBlob(env);
+}
+
+// Optimistic concurrency on the index (order changes, inserts, removals)
+export async function saveIndex(env, index) {
+  const expectedVersion = index.writeVersion || 0;
+  const current = await env.ROADMAP_KV.get(INDEX_KEY, 'json');
+  const currentVersion = current?.writeVersion || 0;
+  if (currentVersion !== expectedVersion) {
+    throw new ConcurrencyError();
+  }
+  index.writeVersion = expectedVersion + 1;
+  index.updatedAt = new Date().toISOString();
+  await env.ROADMAP_KV.put(INDEX_KEY, JSON.stringify(index));
+}
+
+// Apply a change to a fresh copy of the index, retrying on conflict.
+// Only for commutative changes (append/remove) where re-applying is safe.
+async function updateIndex(env, mutate) {
+  for (let attempt = 0; ; attempt++) {
+    const index = await getIndex(env);
+    mutate(index);
+    try {
+      await saveIndex(env, index);
+      return index;
+    } catch (err) {
+      if (err.name !== 'ConcurrencyError' || attempt >= 2) throw err;
+    }
+  }
+}
+
+// Assemble the full board: { version, items, writeVersion, updatedAt }.
+// Soft-deleted items are left out unless includeDeleted is set.
+export async function getData(env, { includeDeleted = false } = {}) {
+  const index = await getIndex(env);
+  const stored = await Promise.all(index.ids.map(id => env.ROADMAP_KV.get(itemKey(id), 'json')));
+  const items = stored.filter(i => i && (includeDeleted || !i.deletedAt)).map(normalizeItem);
+
+  // Board is as fresh as its most recently touched item
+  let updatedAt = index.updatedAt || null;
+  for (const item of items) {
+    if (item.updatedAt && (!updatedAt || item.updatedAt > updatedAt)) updatedAt = item.updatedAt;
+  }
+
+  return { version: index.version, items, writeVersion: index.writeVersion, updatedAt };
+}
+
+export async function getItem(env, id) {
+  if (!id) return null;
+  const item = await env.ROADMAP_KV.get(itemKey(id), 'json');
+  return item ? normalizeItem(item) : null;
+}
+
 // Add agent to contributors list if not already present
 export function addContributor(item, agent) {
   if (!agent?.btcAddress) return;
@@ -116,29 +231,54 @@ export function addContributor(item, agent) {
   }
 }
 
-export async function saveData(env, data) {
-  // Optimistic concurrency: check version hasn't changed since read
-  const expectedVersion = data.writeVersion || 0;
-  const current = await env.ROADMAP_KV.get(KV_KEY, 'json');
+export async function saveItem(env, item) {
+  // Optimistic concurrency: check this item's version hasn't changed since read
+  const expectedVersion = item.writeVersion || 0;
+  const current = await env.ROADMAP_KV.get(itemKey(item.id), 'json');
   const currentVersion = current?.writeVersion || 0;
   if (currentVersion !== expectedVersion) {
     throw new ConcurrencyError();
   }
-  data.writeVersion = expectedVersion + 1;
-  data.updatedAt = new Date().toISOString();
-  await env.ROADMAP_KV.put(KV_KEY, JSON.stringify(data));
+  item.writeVersion = expectedVersion + 1;
+  await env.ROADMAP_KV.put(itemKey(item.id), JSON.stringify(item));
+}
+
+// Store a new item and append it to the index. Returns the updated index.
+export async function insertItem(env, item) {
+  item.writeVersion = 0;
+  await saveItem(env, item);
+  return updateIndex(env, index => {
+    if (!index.ids.includes(item.id)) index.ids.push(item.id);
+  });
+}
+
+// Permanently remove an item and its key
+export async function removeItem(env, id) {
+  await updateIndex(env, index => {
+    index.ids = index.ids.filter(i => i !== id);
+  });
+  await env.ROADMAP_KV.delete(itemKey(id));
 }
 
 // Best-effort save for background tasks: on conflict, re-read version and retry once
-async function saveRetry(env, data) {
+async function saveRetry(env, item) {
   try {
-    await saveData(env, data);
+    await saveItem(env, item);
   } catch (err) {
     if (err.name !== 'ConcurrencyError') throw err;
-    console.error('[saveRetry] conflict, retrying with fresh version');
-    const fresh = await env.ROADMAP_KV.get('roadmap:items', 'json');
-    data.writeVersion = fresh?.writeVersion || 0;
-    await saveData(env, data);
+    console.error('[saveRetry] conflict on', item.id, 'retrying with fresh version');
+    const fresh = await env.ROADMAP_KV.get(itemKey(item.id), 'json');
+    // Don't resurrect an item that was deleted while we were scanning
+    if (!fresh || fresh.deletedAt) return;
+    item.writeVersion = fresh?.writeVersion || 0;
+    await saveItem(env, item);
+  }
+}
+
+// Save every item a background task touched
+async function saveChanged(env, changed) {
+  for (const item of changed) {
+    await saveRetry(env, item);
   }
 }
 
@@ -147,35 +287,58 @@ export function parseGithubUrl(url) {
   // Match issue or PR
   const m = url.match(/github\.com\/([^/]+)\/([^/]+)\/(issues|pull)\/(\d+)/);
   if (m) return { owner: m[1], repo: m[2], type: m[3] === 'pull' ? 'pr' : 'issue', number: parseInt(m[4]) };
+  // Match milestone (github.com/org/repo/milestone/3)
+  const ms = url.match(/github\.com\/([^/]+)\/([^/]+)\/milestones?\/(\d+)/);
+  if (ms) return { owner: ms[1], repo: ms[2], type: 'milestone', number: parseInt(ms[3]) };
   // Match repo URL (e.g. github.com/org/repo)
   const r = url.match(/github\.com\/([^/]+)\/([^/?#]+)/);
   if (r) return { owner: r[1], repo: r[2], type: 'repo', number: null };
   return null;
 }
 
-export async function fetchGithubData(url, env) {
+// githubData for a repo from a GitHub API repository object (REST response
+// or webhook payload)
+export function repoDataFromApi(d) {
+  return {
+    type: 'repo',
+    number: null,
+    title: d.description || d.full_name,
+    state: d.archived ? 'archived' : 'active',
+    merged: false,
+    assignees: [],
+    labels: d.topics || [],
+    stars: d.stargazers_count,
+    homepage: d.homepage || null,
+    ownerLogin: d.owner?.login || null,
+    // Webhook payloads send a unix timestamp here, the REST API an ISO date
+    pushedAt: typeof d.pushed_at === 'number' ? new Date(d.pushed_at * 1000).toISOString() : d.pushed_at || null,
+    defaultBranch: d.default_branch || null,
+    // GitHub counts open PRs as issues; withHealth takes them off
+    openIssues: d.open_issues_count ?? null,
+    fetchedAt: new Date().toISOString(),
+  };
+}
+
+// Fetch a repo, issue, PR or milestone. Returns null if GitHub can't be
+// reached (or the budget is spent), or { _notFound: true }. `request` is
+// passed on to githubFetch ({ budget, task } during /api/refresh).
+export async function fetchGithubData(url, env, request = {}) {
   try {
     const parsed = parseGithubUrl(url);
     if (!parsed) return null;
 
     let endpoint;
     if (parsed.type === 'repo') {
-      endpoint = `https://api.github.com/repos/${parsed.owner}/${parsed.repo}`;
+      endpoint = `/repos/${parsed.owner}/${parsed.repo}`;
     } else if (parsed.type === 'pr') {
-      endpoint = `https://api.github.com/repos/${parsed.owner}/${parsed.repo}/pulls/${parsed.number}`;
+      endpoint = `/repos/${parsed.owner}/${parsed.repo}/pulls/${parsed.number}`;
+    } else if (parsed.type === 'milestone') {
+      endpoint = `/repos/${parsed.owner}/${parsed.repo}/milestones/${parsed.number}`;
     } else {
-      endpoint = `https://api.github.com/repos/${parsed.owner}/${parsed.repo}/issues/${parsed.number}`;
+      endpoint = `/repos/${parsed.owner}/${parsed.repo}/issues/${parsed.number}`;
     }
 
-    const headers = {
-      'User-Agent': 'aibtc-projects/1.0',
-      Accept: 'application/vnd.github+json',
-    };
-    // Use GitHub token if available (avoids 403 from shared Cloudflare IPs)
-    const token = env?.GITHUB_TOKEN;
-    if (token) headers['Authorization'] = `Bearer ${token}`;
-
-    const res = await fetch(endpoint, { headers });
+    const res = await githubFetch(env, endpoint, request);
     if (!res.ok) {
       if (res.status === 404) return { _notFound: true };
       return null;
@@ -183,18 +346,18 @@ export async function fetchGithubData(url, env) {
 
     const d = await res.json();
 
-    if (parsed.type === 'repo') {
+    if (parsed.type === 'repo') return repoDataFromApi(d);
+
+    if (parsed.type === 'milestone') {
       return {
-        type: 'repo',
-        number: null,
-        title: d.description || d.full_name,
-        state: d.archived ? 'archived' : 'active',
+        type: 'milestone',
+        number: parsed.number,
+        title: d.title,
+        state: d.state,
         merged: false,
-        assignees: [],
-        labels: d.topics || [],
-        stars: d.stargazers_count,
-        homepage: d.homepage || null,
-        ownerLogin: d.owner?.login || null,
+        openIssues: d.open_issues,
+        closedIssues: d.closed_issues,
+        dueOn: d.due_on || null,
         fetchedAt: new Date().toISOString(),
       };
     }
@@ -215,11 +378,124 @@ export async function fetchGithubData(url, env) {
   }
 }
 
-// Derive status from GitHub state — single source of truth
-export function deriveStatus(item) {
-  const gd = item.githubData;
+// ── Repository Health ──
+// Each repo's githubData also tracks open issue and PR counts, the latest
+// release and the CI status of the default branch, refreshed with the rest
+// of it. Together with pushedAt they mark a live repo `stale` or `failing`.
+// Staleness is stored on githubData (`stale`) rather than worked out from
+// the clock on every read, so a repo only goes stale when /api/refresh
+// saves it and records the status change.
+
+export const STALE_REPO_DAYS = 60;
+const STALE_REPO_MS = STALE_REPO_DAYS * 24 * 60 * 60 * 1000;
+const FAILED_CONCLUSIONS = ['failure', 'timed_out', 'startup_failure'];
+// Health is fetched again after this even for an idle repo (a release can
+// be published on a tag pushed earlier)
+const HEALTH_MAX_AGE_MS = 6 * 60 * 60 * 1000;
+
+// Whether a repo hasn't been pushed to in STALE_REPO_DAYS as of `now`
+function isDormant(gd, now) {
+  return !!gd.pushedAt && now - new Date(gd.pushedAt).getTime() > STALE_REPO_MS;
+}
+
+// Repo metadata with health metrics added. `health` is fresh from
+// fetchRepoHealth or, when that isn't available, the previous githubData.
+export function withHealth(gd, health) {
+  const openPrs = health?.openPrs ?? null;
+  const pushedAt = gd.pushedAt || health?.pushedAt || null;
+  return {
+    ...gd,
+    pushedAt,
+    stale: isDormant({ pushedAt }, Date.now()),
+    openIssues: gd.openIssues == null ? health?.openIssues ?? null : Math.max(0, gd.openIssues - (openPrs || 0)),
+    openPrs,
+    latestRelease: health?.latestRelease ?? null,
+    ci: health?.ci ?? null,
+    healthAt: health?.healthAt ?? null,
+  };
+}
+
+// CI status from the check runs on a commit: passing, failing, pending, or
+// null without any. Commit statuses (the older status API) are not counted,
+// over REST or GraphQL.
+function ciFromCheckRuns(runs) {
+  if (!runs?.length) return null;
+  if (runs.some(r => FAILED_CONCLUSIONS.includes(r.conclusion))) return 'failing';
+  if (runs.some(r => r.status !== 'completed')) return 'pending';
+  return 'passing';
+}
+
+// Whether the health in `previous` still holds for freshly fetched metadata:
+// recent, nothing was pushed since, the open issue and PR total is the same,
+// and CI had settled. Saves fetchRepoHealth's calls for idle repos.
+function healthIsCurrent(fresh, previous) {
+  if (previous?.openPrs == null || previous.ci === 'pending') return false;
+  if (!previous.healthAt || Date.now() - new Date(previous.healthAt).getTime() >= HEALTH_MAX_AGE_MS) return false;
+  if (fresh.pushedAt !== previous.pushedAt) return false;
+  return fresh.openIssues === previous.openIssues + previous.openPrs;
+}
+
+// Open PR count, latest release and default-branch CI over REST. Returns
+// null if any of it couldn't be fetched.
+async function fetchRepoHealth(env, path, defaultBranch, gh) {
+  try {
+    // One PR per page: the last page number is the count
+    const pullsRes = await githubFetch(env, `/repos/${path}/pulls?state=open&per_page=1`, gh);
+    if (!pullsRes.ok) return null;
+    const lastPage = /[?&]page=(\d+)>;\s*rel="last"/.exec(pullsRes.headers.get('Link') || '');
+    const openPrs = lastPage ? Number(lastPage[1]) : (await pullsRes.json()).length;
+
+    // 404 when the repo has no releases
+    const releaseRes = await githubFetch(env, `/repos/${path}/releases/latest`, gh);
+    if (!releaseRes.ok && releaseRes.status !== 404) return null;
+    const release = releaseRes.ok ? await releaseRes.json() : null;
+
+    let ci = null;
+    if (defaultBranch) {
+      // Check run lists are large and change with every push: not worth
+      // storing for a 304
+      const checksRes = await githubFetch(env, `/repos/${path}/commits/${encodeURIComponent(defaultBranch)}/check-runs?per_page=100`, { ...gh, cache: false });
+      if (!checksRes.ok) return null;
+      ci = ciFromCheckRuns((await checksRes.json()).check_runs);
+    }
+
+    return {
+      openPrs,
+      latestRelease: release
+        ? { tag: release.tag_name, name: release.name || release.tag_name, url: release.html_url, publishedAt: release.published_at }
+        : null,
+      ci,
+      healthAt: new Date().toISOString(),
+    };
+  } catch (err) {
+    console.error('[fetchRepoHealth]', path, err);
+    return null;
+  }
+}
+
+// A repo's githubData with its health metrics. `previous` supplies the
+// health if it is still current or can't be fetched this time. Returns null
+// or { _notFound: true } like fetchGithubData.
+export async function fetchRepoWithHealth(env, url, previous, gh) {
+  const fresh = await fetchGithubData(url, env, gh);
+  if (!fresh || fresh._notFound) return fresh;
+  if (healthIsCurrent(fresh, previous)) return withHealth(fresh, previous);
+  const health = await fetchRepoHealth(env, repoPath(url), fresh.defaultBranch, gh);
+  return withHealth(fresh, health || previous);
+}
+
+// Board sort order for statuses (mirrors STATUS_ORDER in index.html)
+export const STATUS_ORDER = { 'in-progress': 0, 'failing': 1, 'todo': 2, 'blocked': 3, 'stale': 4, 'done': 5 };
+
+// Status of one linked GitHub resource
+function resourceStatus(gd) {
   if (!gd || !gd.type) return 'todo';
-  if (gd.type === 'repo') return gd.state === 'archived' ? 'done' : 'in-progress';
+  if (gd.type === 'repo') {
+    if (gd.state === 'archived') return 'done';
+    // A dormant repo is stale whatever its last CI run said
+    if (gd.stale) return 'stale';
+    return gd.ci === 'failing' ? 'failing' : 'in-progress';
+  }
   if (gd.type === 'pr') {
     if (gd.merged) return 'done';
     if (gd.state === 'closed') return 'blocked';
@@ -229,54 +505,236 @@ export function deriveStatus(item) {
   return gd.state === 'closed' ? 'done' : 'in-progress';
 }
 
+// Status from the linked GitHub resources alone: failing while any repo's
+// CI fails, in progress while any repo is active, stale once every live repo
+// has gone quiet and done once all of them are archived
+function githubStatus(item) {
+  const repos = item.repos?.length ? item.repos : [{ githubData: item.githubData }];
+  const statuses = repos.map(r => resourceStatus(r.githubData));
+  if (statuses.includes('failing')) return 'failing';
+  if (statuses.includes('in-progress')) return 'in-progress';
+  if (statuses.every(s => s === 'done')) return 'done';
+  if (statuses.includes('stale')) return 'stale';
+  return statuses.includes('blocked') ? 'blocked' : 'todo';
+}
+
+// Board status. Pass every item by id to also report `blocked` while an
+// upstream dependency is unfinished, archived or gone.
+export function deriveStatus(item, itemsById) {
+  const status = githubStatus(item);
+  if (status === 'done' || !itemsById || !item.dependsOn?.length) return status;
+  return blockingDependencies(item, itemsById).length > 0 ? 'blocked' : status;
+}
+
+// Set `stale` on each repo from its last push as of `now`. Returns true if
+// any repo went stale or came back; the caller saves the item.
+export function syncStaleRepos(item, now) {
+  let changed = false;
+  for (const repo of item.repos || []) {
+    const gd = repo.githubData;
+    if (gd?.type !== 'repo') continue;
+    const stale = isDormant(gd, now);
+    if (!!gd.stale === stale) continue;
+    repo.githubData = { ...gd, stale };
+    changed = true;
+  }
+  if (changed) syncRepoSummary(item);
+  return changed;
+}
+
+// ── Dependencies ──
+export const MAX_DEPENDENCIES = 20;
+
+// An item's upstream dependencies by id, for deriveStatus on a single item
+export async function getDependencies(env, item) {
+  const upstream = await Promise.all((item.dependsOn || []).map(id => getItem(env, id)));
+  return new Map(upstream.filter(Boolean).map(i => [i.id, i]));
+}
+
+// Whether an upstream item has shipped: a release on any of its repos, or a
+// roadmap with every benchmark done. Items linked to a single issue or PR
+// finish when it closes or merges.
+export function isFinished(item) {
+  if ((item.repos || []).some(r => r.githubData?.latestRelease)) return true;
+  if (item.goals?.length > 0 && item.goals.every(g => g.status === 'done')) return true;
+  return !item.repos?.length && resourceStatus(item.githubData) === 'done';
+}
+
+// Why an upstream item holds its dependents back, or null if it doesn't
+export function blockingReason(upstream) {
+  if (!upstream || upstream.deletedAt) return 'removed';
+  if (isArchived(upstream)) return 'archived';
+  return isFinished(upstream) ? null : 'unfinished';
+}
+
+// Upstream items still holding this one back: [{ id, title, reason }]
+export function blockingDependencies(item, itemsById) {
+  const blocking = [];
+  for (const id of item.dependsOn || []) {
+    const upstream = itemsById.get(id);
+    const reason = blockingReason(upstream);
+    if (reason) blocking.push({ id, title: upstream?.title || null, reason });
+  }
+  return blocking;
+}
+
+// The path that adding `item → dependsOnId` would close into a cycle
+// ([item.id, dependsOnId, ..., item.id]), or null if it's safe
+export function findDependencyCycle(items, itemId, dependsOnId) {
+  const edges = new Map(items.map(i => [i.id, i.dependsOn || []]));
+  const path = [itemId];
+  const seen = new Set();
+  const visit = (id) => {
+    path.push(id);
+    if (id === itemId) return true;
+    if (!seen.has(id)) {
+      seen.add(id);
+      for (const next of edges.get(id) || []) {
+        if (visit(next)) return true;
+      }
+    }
+    path.pop();
+    return false;
+  };
+  return visit(dependsOnId) ? path : null;
+}
+
+// ── Repositories ──
+// A project can span several repos (contracts, frontend, SDK). item.repos
+// holds each one with its own GitHub data; the primary repo is mirrored to
+// item.githubUrl and item.githubData, which most of the board reads.
+
+export const MAX_REPOS = 10;
+
+// "owner/repo" for any GitHub URL, lowercased for comparisons, or null
+export function repoPath(url) {
+  const parsed = parseGithubUrl(url);
+  return parsed ? `${parsed.owner}/${parsed.repo}`.toLowerCase() : null;
+}
+
+// Mirror the primary repo onto githubUrl/githubData and total the stars.
+// Call after any change to item.repos.
+export function syncRepoSummary(item) {
+  if (item.repos.length > 0 && !item.repos.some(r => r.primary)) item.repos[0].primary = true;
+  const primary = item.repos.find(r => r.primary) || null;
+  item.githubUrl = primary ? primary.url : null;
+  item.githubData = primary ? primary.githubData : null;
+  item.stars = item.repos.reduce((sum, r) => sum + (r.githubData?.stars || 0), 0);
+}
+
+// The item's GitHub repos, primary first: [{ repo, path }]. Archived repos
+// are left out unless includeArchived is set.
+export function itemRepos(item, { includeArchived = false } = {}) {
+  const found = [];
+  for (const repo of item.repos || []) {
+    const parsed = parseGithubUrl(repo.url);
+    if (!parsed || parsed.type !== 'repo') continue;
+    if (!includeArchived && repo.githubData?.state === 'archived') continue;
+    found.push({ repo, path: `${parsed.owner}/${parsed.repo}` });
+  }
+  return found.sort((a, b) => Number(!!b.repo.primary) - Number(!!a.repo.primary));
+}
+
+// True once every linked repo is archived
+export function isArchived(item) {
+  const repos = item.repos?.length ? item.repos : [{ githubData: item.githubData }];
+  return repos.every(r => r.githubData?.state === 'archived');
+}
+
+// Which of the item's repos a URL (PR, commit, release...) belongs to, as
+// "owner/repo", or null
+export function repoForUrl(item, url) {
+  const path = repoPath(url);
+  if (!path) return null;
+  const match = itemRepos(item, { includeArchived: true }).find(r => r.path.toLowerCase() === path);
+  return match ? match.path : null;
+}
+
 // Refresh stale GitHub data in the background
-export async function refreshStaleGithubData(env, { deadline } = {}) {
+// `prefetched` is the repos map from prefetchGithubRepos, if it ran.
+export async function refreshStaleGithubData(env, { deadline, budget, prefetched } = {}) {
   const data = await getData(env);
   const now = Date.now();
-  let changed = false;
+  const changed = new Set();
   let refreshedCount = 0;
   let timedOut = false;
+  let rateLimited = false;
+  const gh = { budget, task: 'github' };
   const autoCompleteEvents = [];
+  const goalEvents = [];
+  const taskEvents = [];
+  const linkCache = new Map();
+  const taskCache = new Map();
+  const mapping = await getGithubMapping(env);
+  const receipts = await getWebhookReceipts(env);
 
   for (const item of data.items) {
     if (deadline && Date.now() >= deadline) { timedOut = true; break; }
-    if (!item.githubUrl) continue;
-    const fetchedAt = item.githubData?.fetchedAt ? new Date(item.githubData.fetchedAt).getTime() : 0;
-    if (now - fetchedAt < STALE_AFTER_MS) continue;
+    if (!hasGithubBudget(budget, 'github')) { rateLimited = true; break; }
 
-    const fresh = await fetchGithubData(item.githubUrl, env);
-    if (!fresh) continue;
+    const synced = await syncGoalLinks(env, item, now, linkCache, gh);
+    if (synced.changed) {
+      changed.add(item);
+      goalEvents.push(...synced.events);
+    }
 
-    // Auto-archive repos that return 404
-    if (fresh._notFound) {
-      const fails = (item.githubData?._notFoundCount || 0) + 1;
-      if (fails >= 3 && item.githubData?.state !== 'archived') {
-        item.githubData = { ...item.githubData, state: 'archived', _notFoundCount: fails, fetchedAt: new Date().toISOString() };
-        item.updatedAt = new Date().toISOString();
-        changed = true;
-        autoCompleteEvents.push({ itemId: item.id, itemTitle: item.title, oldStatus: deriveStatus(item), newStatus: 'done' });
-        console.error('[refreshStaleGithubData] auto-archived', item.githubUrl, 'after', fails, '404s');
-      } else {
-        item.githubData = { ...item.githubData, _notFoundCount: fails, fetchedAt: new Date().toISOString() };
-        changed = true;
-      }
-      continue;
+    const tasksSynced = await syncTasks(env, item, now, taskCache, mapping, gh);
+    if (tasksSynced.changed) {
+      changed.add(item);
+      taskEvents.push(...tasksSynced.events);
     }
 
     // Track status transitions from GitHub state changes
     const oldStatus = deriveStatus(item);
-    item.githubData = fresh;
+    // Repos that went quiet or were pushed to since the last run, even
+    // without fetching them
+    const aged = syncStaleRepos(item, now);
+
+    // Each repo goes stale on its own clock
+    const stale = item.repos.filter(r => isRepoStale(r, receipts, now));
+    if (stale.length === 0 && !aged) continue;
+
+    let touched = aged, refreshed = false;
+    for (const repo of stale) {
+      // Keep the last known health if this round can't fetch it
+      const fresh = prefetched?.get(repoPath(repo.url))?.githubData
+        || await fetchRepoWithHealth(env, repo.url, repo.githubData, gh);
+      if (!fresh) continue;
+
+      // Auto-archive repos that return 404
+      if (fresh._notFound) {
+        const fails = (repo.githubData?._notFoundCount || 0) + 1;
+        if (fails >= 3 && repo.githubData?.state !== 'archived') {
+          repo.githubData = { ...repo.githubData, state: 'archived', _notFoundCount: fails, fetchedAt: new Date().toISOString() };
+          refreshed = true;
+          console.error('[refreshStaleGithubData] auto-archived', repo.url, 'after', fails, '404s');
+        } else {
+          repo.githubData = { ...repo.githubData, _notFoundCount: fails, fetchedAt: new Date().toISOString() };
+        }
+        touched = true;
+        continue;
+      }
+
+      repo.githubData = fresh;
+      touched = refreshed = true;
+    }
+    if (!touched) continue;
+
+    changed.add(item);
+    syncRepoSummary(item);
+    syncTopicTags(item);
     const newStatus = deriveStatus(item);
     if (oldStatus !== newStatus) {
       autoCompleteEvents.push({ itemId: item.id, itemTitle: item.title, oldStatus, newStatus });
     }
-    item.updatedAt = new Date().toISOString();
-    changed = true;
-    refreshedCount++;
+    if (refreshed) {
+      item.updatedAt = new Date().toISOString();
+      refreshedCount++;
+    }
   }
 
-  if (changed) {
-    await saveRetry(env, data);
+  if (changed.size > 0) {
+    await saveChanged(env, changed);
     for (const ev of autoCompleteEvents) {
       await recordEvent(env, {
         type: 'item.status_synced',
@@ -286,9 +744,342 @@ export async function refreshStaleGithubData(env, { deadline } = {}) {
         data: { oldStatus: ev.oldStatus, newStatus: ev.newStatus, reason: 'github_state' },
       });
     }
+    for (const ev of [...goalEvents, ...taskEvents]) {
+      await recordEvent(env, { ...ev, agent: null });
+    }
+  }
+
+  return { refreshedCount, statusChanges: autoCompleteEvents.length, goalSyncs: goalEvents.length, taskSyncs: taskEvents.length, timedOut, rateLimited };
+}
+
+// ── Trash ──
+// Deleted items are tombstoned (deletedAt/deletedBy) and purged for good
+// once they've been in the trash longer than the retention period.
+
+export const TRASH_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+export async function purgeTrash(env, { deadline } = {}) {
+  const data = await getData(env, { includeDeleted: true });
+  const now = Date.now();
+  let purged = 0;
+  let timedOut = false;
+
+  for (const item of data.items) {
+    if (deadline && Date.now() >= deadline) { timedOut = true; break; }
+    if (!item.deletedAt) continue;
+    if (now - new Date(item.deletedAt).getTime() < TRASH_RETENTION_MS) continue;
+
+    await removeItem(env, item.id);
+    purged++;
+    await recordEvent(env, {
+      type: 'item.purged',
+      agent: null,
+      itemId: item.id,
+      itemTitle: item.title,
+      data: { deletedAt: item.deletedAt, deletedBy: item.deletedBy || null },
+    });
+  }
+
+  return { purged, timedOut };
+}
+
+// ── Claim Expiry ──
+// A claim lasts CLAIM_TTL_MS from the claimant's last activity on the item
+// (claiming, deliverables, merged PRs, goal changes). /api/refresh releases
+// claims that run past their expiry.
+
+export const CLAIM_TTL_MS = 14 * 24 * 60 * 60 * 1000; // 14 days
+
+// Extend the claim if the acting agent holds it. Returns true if renewed.
+export function renewClaim(item, agent) {
+  if (!item.claimedBy || !agent?.btcAddress || item.claimedBy.btcAddress !== agent.btcAddress) return false;
+  const now = Date.now();
+  item.claimedBy.lastActiveAt = new Date(now).toISOString();
+  item.claimedBy.expiresAt = new Date(now + CLAIM_TTL_MS).toISOString();
+  return true;
+}
+
+export async function releaseExpiredClaims(env, { deadline } = {}) {
+  const data = await getData(env);
+  const now = Date.now();
+  const changed = new Set();
+  const expired = [];
+  let stamped = 0;
+  let timedOut = false;
+
+  for (const item of data.items) {
+    if (deadline && Date.now() >= deadline) { timedOut = true; break; }
+    if (!item.claimedBy) continue;
+
+    // Claims made before expiry existed get a full term from now
+    if (!item.claimedBy.expiresAt) {
+      item.claimedBy.expiresAt = new Date(now + CLAIM_TTL_MS).toISOString();
+      changed.add(item);
+      stamped++;
+      continue;
+    }
+    if (new Date(item.claimedBy.expiresAt).getTime() > now) continue;
+
+    // Re-check against the latest copy so a renewal that just landed wins;
+    // on a write conflict the claim is looked at again next refresh
+    const fresh = await getItem(env, item.id);
+    const claim = fresh?.claimedBy;
+    if (!claim || fresh.deletedAt || new Date(claim.expiresAt).getTime() > now) continue;
+    fresh.claimedBy = null;
+    fresh.updatedAt = new Date(now).toISOString();
+    try {
+      await saveItem(env, fresh);
+    } catch (err) {
+      if (err.name !== 'ConcurrencyError') throw err;
+      continue;
+    }
+    expired.push({ item: fresh, claim });
+  }
+
+  await saveChanged(env, changed);
+
+  for (const { item, claim } of expired) {
+    await recordEvent(env, {
+      type: 'item.claim_expired',
+      agent: null,
+      itemId: item.id,
+      itemTitle: item.title,
+      data: {
+        claimedBy: { btcAddress: claim.btcAddress, displayName: claim.displayName },
+        claimedAt: claim.claimedAt,
+        expiresAt: claim.expiresAt,
+      },
+    });
+  }
+
+  return { released: expired.length, stamped, timedOut };
+}
+
+// ── Roadmap ──
+// item.goals is an ordered list of milestones ({ title, description, dueDate,
+// status }). dueDate is a calendar day (YYYY-MM-DD) and counts as missed once
+// that day is over in UTC. /api/refresh flags missed milestones once each.
+
+export const GOAL_STATUSES = ['planned', 'in-progress', 'done'];
+export const MAX_GOALS = 25;
+
+const DUE_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Returns true for a real calendar date in YYYY-MM-DD form
+export function isValidDueDate(value) {
+  if (typeof value !== 'string' || !DUE_DATE_RE.test(value)) return false;
+  const ms = Date.parse(value + 'T00:00:00Z');
+  return !Number.isNaN(ms) && new Date(ms).toISOString().slice(0, 10) === value;
+}
+
+export function isGoalOverdue(goal, now = Date.now()) {
+  if (!goal.dueDate || goal.status === 'done') return false;
+  return now >= Date.parse(goal.dueDate + 'T00:00:00Z') + 24 * 60 * 60 * 1000;
+}
+
+export function computeProgress(goals) {
+  const total = goals.length;
+  const completed = goals.filter(g => g.status === 'done').length;
+  return { completed, total, percent: total ? Math.round((completed / total) * 100) : 0 };
+}
+
+// Keep the legacy completed flag and item.progress in step after any goal change
+export function syncGoals(item) {
+  for (const goal of item.goals) {
+    goal.completed = goal.status === 'done';
+    if (!goal.completed) goal.completedAt = null;
+  }
+  item.progress = computeProgress(item.goals);
+}
+
+// A linked issue or milestone counts as finished once closed, a PR once merged
+export function isGithubLinkDone(link) {
+  if (!link?.state) return false;
+  return link.type === 'pr' ? !!link.merged : link.state === 'closed';
+}
+
+// Refresh the GitHub objects this item's goals link to. Goal status only
+// follows a link when the link itself changes (closes, merges, reopens), so a
+// leader's manual completion or reopen sticks until GitHub moves again.
+// Returns { changed, events }.
+async function syncGoalLinks(env, item, now, cache, gh) {
+  const events = [];
+  let changed = false;
+
+  for (const goal of item.goals) {
+    const link = goal.github;
+    if (!link?.url) continue;
+    const fetchedAt = link.fetchedAt ? new Date(link.fetchedAt).getTime() : 0;
+    if (now - fetchedAt < STALE_AFTER_MS) continue;
+
+    // Several goals (or items) can point at the same milestone
+    if (!cache.has(link.url)) cache.set(link.url, await fetchGithubData(link.url, env, gh));
+    const fresh = cache.get(link.url);
+    if (!fresh) continue;
+    if (fresh._notFound) {
+      goal.github = { ...link, fetchedAt: new Date(now).toISOString(), notFound: true };
+      changed = true;
+      continue;
+    }
+
+    const wasDone = isGithubLinkDone(link);
+    goal.github = {
+      ...link,
+      title: fresh.title,
+      state: fresh.state,
+      merged: fresh.merged,
+      fetchedAt: fresh.fetchedAt,
+      notFound: false,
+    };
+    changed = true;
+
+    const isDone = isGithubLinkDone(goal.github);
+    // First fetch after linking has nothing to compare against
+    if (!link.state || wasDone === isDone) continue;
+    if (isDone === (goal.status === 'done')) continue;
+
+    goal.status = isDone ? 'done' : 'planned';
+    goal.completedAt = isDone ? new Date(now).toISOString() : null;
+    delete goal.overdueAt;
+    events.push({
+      type: isDone ? 'item.goal_completed' : 'item.goal_reopened',
+      itemId: item.id,
+      itemTitle: item.title,
+      data: { goalId: goal.id, goalTitle: goal.title, source: 'github', url: link.url, githubState: fresh.merged ? 'merged' : fresh.state },
+    });
+  }
+
+  if (changed) {
+    syncGoals(item);
+    if (events.length > 0) item.updatedAt = new Date(now).toISOString();
+  }
+  return { changed, events };
+}
+
+// ── Tracked Tasks ──
+// GitHub issues and PRs attached to an item as sub-tasks. Each task keeps its
+// own state (open, closed or merged), refreshed along with the item's GitHub
+// data, and its assignee resolved through the GitHub → agent mapping.
+// item.taskCounts sums them up for the board.
+
+export const MAX_TASKS = 50;
+const DONE_TASK_STATES = ['closed', 'merged'];
+
+export function computeTaskCounts(tasks) {
+  const closed = tasks.filter(t => DONE_TASK_STATES.includes(t.state)).length;
+  return { open: tasks.length - closed, closed, total: tasks.length };
+}
+
+// Fetch the issue or PR behind a task: title, state, labels and assignee.
+// Returns null if GitHub can't be reached, or { _notFound: true }.
+export async function fetchTaskData(env, url, mapping, gh) {
+  const gd = await fetchGithubData(url, env, gh);
+  if (!gd || gd._notFound) return gd;
+  return taskFields(env, gd, mapping);
+}
+
+// Task fields from an issue or PR's githubData
+export async function taskFields(env, gd, mapping) {
+  // The first assignee is the one the board shows
+  const login = gd.assignees[0] || null;
+  const agent = login ? await resolveGithubUser(env, login, mapping || await getGithubMapping(env)) : null;
+  return {
+    title: gd.title,
+    state: gd.merged ? 'merged' : gd.state === 'closed' ? 'closed' : 'open',
+    labels: gd.labels,
+    assignee: login ? { login, btcAddress: agent?.btcAddress || null, displayName: agent?.displayName || login } : null,
+    fetchedAt: gd.fetchedAt,
+  };
+}
+
+// Apply fresh task fields. Returns the event to record if the task closed,
+// merged or reopened, else null. Call computeTaskCounts afterwards.
+export function updateTask(item, task, fresh, now) {
+  const oldState = task.state;
+  Object.assign(task, fresh, { notFound: false });
+  // First fetch after adding has nothing to compare against
+  if (!oldState || oldState === task.state) return null;
+
+  const done = DONE_TASK_STATES.includes(task.state);
+  if (done === DONE_TASK_STATES.includes(oldState)) return null;
+  task.closedAt = done ? new Date(now).toISOString() : null;
+  return {
+    type: done ? 'item.task_closed' : 'item.task_reopened',
+    itemId: item.id,
+    itemTitle: item.title,
+    data: { taskId: task.id, title: task.title, url: task.url, state: task.state, assignee: task.assignee },
+  };
+}
+
+// Refresh the item's stale tasks. Returns { changed, events }, with an event
+// for every task that closed, merged or reopened on GitHub.
+async function syncTasks(env, item, now, cache, mapping, gh) {
+  const events = [];
+  let changed = false;
+
+  for (const task of item.tasks) {
+    const fetchedAt = task.fetchedAt ? new Date(task.fetchedAt).getTime() : 0;
+    if (now - fetchedAt < STALE_AFTER_MS) continue;
+
+    // The same issue can be tracked by several items
+    if (!cache.has(task.url)) cache.set(task.url, await fetchTaskData(env, task.url, mapping, gh));
+    const fresh = cache.get(task.url);
+    if (!fresh) continue;
+    changed = true;
+    if (fresh._notFound) {
+      task.notFound = true;
+      task.fetchedAt = new Date(now).toISOString();
+      continue;
+    }
+
+    const event = updateTask(item, task, fresh, now);
+    if (event) events.push(event);
+  }
+
+  if (changed) {
+    item.taskCounts = computeTaskCounts(item.tasks);
+    if (events.length > 0) item.updatedAt = new Date(now).toISOString();
+  }
+  return { changed, events };
+}
+
+export async function flagOverdueGoals(env, { deadline } = {}) {
+  const data = await getData(env);
+  const now = Date.now();
+  const flagged = [];
+  let timedOut = false;
+
+  for (const item of data.items) {
+    if (deadline && Date.now() >= deadline) { timedOut = true; break; }
+    if (!item.goals.some(g => isGoalOverdue(g, now) && !g.overdueAt)) continue;
+
+    // Same re-read as claim expiry: a leader edit that just landed wins,
+    // and a conflicting write is retried on the next refresh
+    const fresh = await getItem(env, item.id);
+    if (!fresh || fresh.deletedAt) continue;
+    const missed = fresh.goals.filter(g => isGoalOverdue(g, now) && !g.overdueAt);
+    if (missed.length === 0) continue;
+    for (const goal of missed) goal.overdueAt = new Date(now).toISOString();
+    try {
+      await saveItem(env, fresh);
+    } catch (err) {
+      if (err.name !== 'ConcurrencyError') throw err;
+      continue;
+    }
+    for (const goal of missed) flagged.push({ item: fresh, goal });
   }
 
-  return { refreshedCount, statusChanges: autoCompleteEvents.length, timedOut };
+  for (const { item, goal } of flagged) {
+    await recordEvent(env, {
+      type: 'item.goal_overdue',
+      agent: null,
+      itemId: item.id,
+      itemTitle: item.title,
+      data: { goalId: goal.id, goalTitle: goal.title, dueDate: goal.dueDate },
+    });
+  }
+
+  return { flagged: flagged.length, timedOut };
 }
 
 // ── Mention Matching ──
@@ -315,13 +1106,11 @@ export function getMatchTerms(item) {
     if (slug.length > 3 && slug !== part) terms.push({ text: slug, type: 'slug' });
   }
 
-  // 4. GitHub URL, path, and repo name (multiple variants)
-  const ghPath = item.githubUrl
-    ? item.githubUrl.replace(/^https?:\/\/(www\.)?github\.com\//, '').replace(/\/$/, '').toLowerCase()
-    : null;
-  if (ghPath) {
+  // 4. GitHub URL, path, and repo name (multiple variants) for every repo
+  for (const { url } of item.repos || []) {
+    const ghPath = url.replace(/^https?:\/\/(www\.)?github\.com\//, '').replace(/\/$/, '').toLowerCase();
     // Full URL
-    terms.push({ text: item.githubUrl.toLowerCase(), type: 'url' });
+    terms.push({ text: url.toLowerCase(), type: 'url' });
     // Path like "aibtcdev/skills"
     terms.push({ text: ghPath, type: 'url' });
     // Repo name like "arc-starter"
@@ -335,9 +1124,10 @@ export function getMatchTerms(item) {
     }
   }
 
-  // 5. Homepage hostname (skip overly generic domains)
-  const homepage = item.githubData?.homepage;
-  if (homepage) {
+  // 5. Homepage hostnames (skip overly generic domains)
+  for (const { githubData } of item.repos || []) {
+    const homepage = githubData?.homepage;
+    if (!homepage) continue;
     try {
       const host = new URL(homepage).hostname.toLowerCase();
       const GENERIC_HOSTS = ['aibtc.com', 'github.com', 'stacks.co', 'bitcoin.org'];
@@ -557,15 +1347,15 @@ export async function scanForMentions(env, { reset = false } = {}) {
   }
 
   const data = await getData(env);
-  let changed = false;
+  const changed = new Set();
   const mentionEvents = [];
 
   // On reset, zero out all mention counts before re-scanning
   if (reset) {
     for (const item of data.items) {
       if (item.mentions) item.mentions.count = 0;
+      changed.add(item);
     }
-    changed = true;
   }
 
   for (const ev of newEvents) {
@@ -585,7 +1375,7 @@ export async function scanForMentions(env, { reset = false } = {}) {
             agentId: null,
           });
         }
-        changed = true;
+        changed.add(item);
         mentionEvents.push({
           itemId: item.id,
           itemTitle: item.title,
@@ -599,9 +1389,7 @@ export async function scanForMentions(env, { reset = false } = {}) {
   }
 
   // Save updated mention counts
-  if (changed) {
-    await saveRetry(env, data);
-  }
+  await saveChanged(env, changed);
 
   // Record mention events in the activity feed (skip on reset to avoid duplicates
   // and timeouts — the /api/mentions endpoint reads directly from the archive)
@@ -631,17 +1419,25 @@ export async function scanForMentions(env, { reset = false } = {}) {
 }
 
 // ── Backfill existing mention events with message preview + recipient ──
-const EVENTS_KEY = 'roadmap:events';
+// The activity API only returns recent messages, so older buckets can't match
+const BACKFILL_DAYS = 7;
 
 export async function backfillMentions(env) {
-  // 1. Read current events from KV
-  const raw = await env.ROADMAP_KV.get(EVENTS_KEY, 'json');
-  if (!raw || !raw.events) return { backfilled: 0, total: 0 };
+  // 1. Read recent event buckets from KV
+  const days = (await getEventDays(env)).slice(0, BACKFILL_DAYS);
+  const buckets = (await Promise.all(days.map(day => getDayBuckets(env, day)))).flat();
 
   // Find mention events missing messagePreview
-  const mentionEvents = raw.events.filter(e =>
-    e.type === 'item.mentioned' && !e.data?.messagePreview
-  );
+  const mentionEvents = [];
+  const bucketOf = new Map();
+  for (const bucket of buckets) {
+    for (const e of bucket.events) {
+      if (e.type === 'item.mentioned' && !e.data?.messagePreview) {
+        mentionEvents.push(e);
+        bucketOf.set(e, bucket);
+      }
+    }
+  }
   if (mentionEvents.length === 0) return { backfilled: 0, total: 0 };
 
   // 2. Fetch AIBTC activity to get the original messages
@@ -663,6 +1459,7 @@ export async function backfillMentions(env) {
   // 3. Load items for matching
   const data = await getData(env);
   let backfilled = 0;
+  const touched = new Set();
 
   for (const mentionEv of mentionEvents) {
     const item = data.items.find(i => i.id === mentionEv.itemId);
@@ -685,15 +1482,16 @@ export async function backfillMentions(env) {
         };
       }
       backfilled++;
+      touched.add(bucketOf.get(mentionEv));
       // Remove matched event so it doesn't match again for duplicate mentions
       const matchIdx = activityEvents.indexOf(match);
       if (matchIdx !== -1) activityEvents.splice(matchIdx, 1);
     }
   }
 
-  // 4. Save updated events back
-  if (backfilled > 0) {
-    await env.ROADMAP_KV.put(EVENTS_KEY, JSON.stringify(raw));
+  // 4. Save updated buckets back
+  for (const bucket of touched) {
+    await saveBucket(env, bucket);
   }
 
   return { backfilled, total: mentionEvents.length };
@@ -736,7 +1534,7 @@ async function archiveMessages(env, messageEvents) {
 
 // ── GitHub Username → AIBTC Agent Mapping ──
 
-async function getGithubMapping(env) {
+export async function getGithubMapping(env) {
   const raw = await env.ROADMAP_KV.get(GITHUB_MAP_KEY, 'json');
   if (raw?.mappings) return raw;
   // First run: initialize with seed mappings
@@ -745,7 +1543,7 @@ async function getGithubMapping(env) {
   return initial;
 }
 
-async function resolveGithubUser(env, username, mapping) {
+export async function resolveGithubUser(env, username, mapping) {
   const btcAddress = mapping.mappings[username.toLowerCase()];
   if (!btcAddress) return null;
 
@@ -776,46 +1574,227 @@ async function resolveGithubUser(env, username, mapping) {
   }
 }
 
-// ── GitHub Contributor Scanning ──
+// ── GitHub Webhook Receipts ──
+// Repos with the GitHub webhook installed push their changes to
+// /api/github-webhook as they happen. Polling them is only a fallback for
+// missed deliveries, so their scans wait WEBHOOK_POLL_MS instead.
+
+// A repo counts as hooked up while deliveries keep arriving
+const WEBHOOK_LIVE_MS = 14 * 24 * 60 * 60 * 1000; // 14 days
+const WEBHOOK_POLL_MS = 6 * 60 * 60 * 1000; // 6 hours
 
-function githubHeaders(env) {
-  const headers = { 'User-Agent': 'aibtc-projects/1.0', Accept: 'application/vnd.github+json' };
-  const token = env?.GITHUB_TOKEN;
-  if (token) headers['Authorization'] = `Bearer ${token}`;
-  return headers;
+export async function getWebhookReceipts(env) {
+  return await env.ROADMAP_KV.get(GITHUB_WEBHOOK_KEY, 'json') || { version: 1, repos: {} };
 }
 
-export async function scanGithubContributors(env, { deadline } = {}) {
+// Remember that a delivery for "owner/repo" arrived
+export async function noteWebhookDelivery(env, fullName, event) {
+  const receipts = await getWebhookReceipts(env);
+  receipts.repos[fullName.toLowerCase()] = { lastDeliveryAt: new Date().toISOString(), lastEvent: event };
+  await env.ROADMAP_KV.put(GITHUB_WEBHOOK_KEY, JSON.stringify(receipts));
+}
+
+// Carry a renamed repo's scan state over to its new name, so the next scan
+// doesn't treat it as brand new and re-import its recent PRs
+export async function renameRepoScanState(env, from, to) {
+  const scanState = await env.ROADMAP_KV.get(GITHUB_SCAN_KEY, 'json');
+  const key = scanState && Object.keys(scanState.repos).find(k => k.toLowerCase() === from.toLowerCase());
+  if (!key) return;
+  scanState.repos[to] = scanState.repos[key];
+  delete scanState.repos[key];
+  await env.ROADMAP_KV.put(GITHUB_SCAN_KEY, JSON.stringify(scanState));
+}
+
+// Time between polls of a repo: `interval`, stretched to WEBHOOK_POLL_MS
+// while its webhook is live
+function pollInterval(receipts, repoPath, interval, now) {
+  const last = receipts.repos[repoPath.toLowerCase()]?.lastDeliveryAt;
+  const live = last && now - new Date(last).getTime() < WEBHOOK_LIVE_MS;
+  return live ? Math.max(interval, WEBHOOK_POLL_MS) : interval;
+}
+
+// Whether a repo's githubData is due for a refresh
+function isRepoStale(repo, receipts, now) {
+  const fetchedAt = repo.githubData?.fetchedAt ? new Date(repo.githubData.fetchedAt).getTime() : 0;
+  return now - fetchedAt >= pollInterval(receipts, repoPath(repo.url) || '', STALE_AFTER_MS, now);
+}
+
+// Whether a repo's merged PRs are due for a scan
+function isEventScanDue(repoState, receipts, repoPath, now) {
+  const lastScan = repoState?.events ? new Date(repoState.events).getTime() : 0;
+  // Back off: after 3+ consecutive failures, wait 1 hour instead of 15 minutes
+  const cooldown = (repoState?.eventFails || 0) >= 3
+    ? 60 * 60 * 1000
+    : GITHUB_SCAN_COOLDOWN_MS;
+  return now - lastScan >= pollInterval(receipts, repoPath, cooldown, now);
+}
+
+// ── Batched GraphQL Refresh ──
+// With a GITHUB_TOKEN, /api/refresh first fetches the linked repos that the
+// data refresh or event detection will poll this run through GraphQL,
+// GRAPHQL_CHUNK repos per query: metadata (homepage and health included)
+// and recent merged PRs. Those scans use that instead of their own REST
+// calls; repos the batch missed, and every repo when there is no token,
+// still go through REST. Contributors always come from REST /contributors,
+// which GraphQL has no equivalent for.
+
+const GRAPHQL_CHUNK = 20;
+
+const REPO_FIELDS = `
+  fragment RepoFields on Repository {
+    nameWithOwner description isArchived stargazerCount homepageUrl pushedAt
+    owner { login }
+    repositoryTopics(first: 20) { nodes { topic { name } } }
+    issues(states: OPEN) { totalCount }
+    openPulls: pullRequests(states: OPEN) { totalCount }
+    latestRelease { tagName name url publishedAt }
+    pullRequests(states: MERGED, first: 10, orderBy: { field: UPDATED_AT, direction: DESC }) {
+      nodes { title url mergedAt author { login __typename } }
+    }
+    defaultBranchRef {
+      name
+      target {
+        ... on Commit {
+          statusCheckRollup {
+            contexts(first: 100) { nodes { __typename ... on CheckRun { status conclusion } } }
+          }
+        }
+      }
+    }
+  }`;
+
+// One repository node in the shapes the REST scans use: githubData and
+// merged PRs as in /pulls
+function repoFromGraphql(r) {
+  const release = r.latestRelease;
+  const githubData = withHealth(repoDataFromApi({
+    full_name: r.nameWithOwner,
+    description: r.description,
+    archived: r.isArchived,
+    topics: r.repositoryTopics.nodes.map(n => n.topic.name),
+    stargazers_count: r.stargazerCount,
+    homepage: r.homepageUrl,
+    owner: r.owner,
+    pushed_at: r.pushedAt,
+    default_branch: r.defaultBranchRef?.name,
+    open_issues_count: r.issues.totalCount + r.openPulls.totalCount,
+  }), {
+    openPrs: r.openPulls.totalCount,
+    latestRelease: release ? { tag: release.tagName, name: release.name || release.tagName, url: release.url, publishedAt: release.publishedAt } : null,
+    // Check runs only, as the REST fallback sees them
+    ci: ciFromCheckRuns((r.defaultBranchRef?.target?.statusCheckRollup?.contexts.nodes || [])
+      .filter(c => c.__typename === 'CheckRun')
+      .map(c => ({ status: c.status.toLowerCase(), conclusion: c.conclusion?.toLowerCase() || null }))),
+    healthAt: new Date().toISOString(),
+  });
+  const pulls = r.pullRequests.nodes.map(pr => ({
+    title: pr.title,
+    html_url: pr.url,
+    merged_at: pr.mergedAt,
+    user: pr.author ? { login: pr.author.login, type: pr.author.__typename === 'Bot' ? 'Bot' : 'User' } : null,
+  }));
+  return { githubData, pulls };
+}
+
+// Fetch the repos whose data is stale or whose merged PRs are due for a
+// scan, on the same clocks as refreshStaleGithubData and scanGithubEvents.
+// Returns { repos, queries, errors, timedOut, rateLimited }, with `repos`
+// mapping lowercased "owner/repo" to { githubData, pulls }, or to
+// { githubData: { _notFound } }.
+export async function prefetchGithubRepos(env, { deadline, budget } = {}) {
+  const repos = new Map();
+  const errors = [];
+  let queries = 0;
+  let timedOut = false;
+  let rateLimited = false;
+  if (!env.GITHUB_TOKEN) return { repos, queries, errors, timedOut, rateLimited, skipped: 'no_token' };
+
+  const [data, receipts, scanState] = await Promise.all([
+    getData(env),
+    getWebhookReceipts(env),
+    env.ROADMAP_KV.get(GITHUB_SCAN_KEY, 'json'),
+  ]);
+  const now = Date.now();
+  const due = new Set();
+  for (const item of data.items) {
+    for (const repo of item.repos) {
+      if (isRepoStale(repo, receipts, now)) due.add(repoPath(repo.url));
+    }
+    for (const { path } of itemRepos(item)) {
+      if (isEventScanDue(scanState?.repos[path], receipts, path, now)) due.add(path.toLowerCase());
+    }
+  }
+  const paths = [...due].filter(Boolean);
+
+  for (let i = 0; i < paths.length; i += GRAPHQL_CHUNK) {
+    if (deadline && Date.now() >= deadline) { timedOut = true; break; }
+    const chunk = paths.slice(i, i + GRAPHQL_CHUNK);
+    const params = chunk.map((_, n) => `$o${n}: String!, $n${n}: String!`).join(', ');
+    const fields = chunk.map((_, n) => `r${n}: repository(owner: $o${n}, name: $n${n}) { ...RepoFields }`).join('\n');
+    const variables = {};
+    chunk.forEach((path, n) => { [variables[`o${n}`], variables[`n${n}`]] = path.split('/'); });
+
+    try {
+      const result = await githubGraphql(env, `query(${params}) {\n${fields}\n}\n${REPO_FIELDS}`, variables, { budget });
+      if (result.rateLimited) { rateLimited = true; break; }
+      queries++;
+      if (!result.data) {
+        errors.push(`batch ${i / GRAPHQL_CHUNK + 1}: ${result.errors[0]?.message || 'no data'}`);
+        continue;
+      }
+      chunk.forEach((path, n) => {
+        const node = result.data[`r${n}`];
+        if (node) {
+          repos.set(path, repoFromGraphql(node));
+          return;
+        }
+        // Missing or private repos come back as null with a NOT_FOUND error;
+        // anything else is left to the REST fallback
+        const notFound = result.errors.some(e => e.type === 'NOT_FOUND' && e.path?.[0] === `r${n}`);
+        if (notFound) repos.set(path, { githubData: { _notFound: true } });
+      });
+    } catch (err) {
+      errors.push(`batch ${i / GRAPHQL_CHUNK + 1}: ${err.message}`);
+    }
+  }
+
+  return { repos, queries, errors, timedOut, rateLimited };
+}
+
+// ── GitHub Contributor Scanning ──
+
+export async function scanGithubContributors(env, { deadline, budget } = {}) {
   const scanState = await env.ROADMAP_KV.get(GITHUB_SCAN_KEY, 'json') || { version: 1, repos: {} };
   const mapping = await getGithubMapping(env);
+  const receipts = await getWebhookReceipts(env);
   const data = await getData(env);
   const now = Date.now();
-  let changed = false;
+  const changed = new Set();
   let newContributors = 0;
   let timedOut = false;
+  let rateLimited = false;
   const scannedRepos = [];
   const unmappedUsers = [];
   const errors = [];
 
-  for (const item of data.items) {
-    if (deadline && Date.now() >= deadline) { timedOut = true; break; }
-    const parsed = parseGithubUrl(item.githubUrl);
-    if (!parsed || parsed.type !== 'repo') continue;
-    if (item.githubData?.state === 'archived') continue; // skip dead repos
+  // Every live repo of every item (archived repos are dead, skip them)
+  const repos = data.items.flatMap(item => itemRepos(item).map(({ path }) => ({ item, repoPath: path })));
 
-    const repoPath = `${parsed.owner}/${parsed.repo}`;
+  for (const { item, repoPath } of repos) {
+    if (deadline && Date.now() >= deadline) { timedOut = true; break; }
     const repoState = scanState.repos[repoPath] || {};
     const lastScan = repoState.contributors ? new Date(repoState.contributors).getTime() : 0;
     // Back off: after 3+ consecutive failures, wait 1 hour instead of 15 minutes
     const cooldown = (repoState.contributorFails || 0) >= 3
       ? 60 * 60 * 1000
       : GITHUB_SCAN_COOLDOWN_MS;
-    if (now - lastScan < cooldown) continue;
+    if (now - lastScan < pollInterval(receipts, repoPath, cooldown, now)) continue;
+    if (!hasGithubBudget(budget, 'githubContributors')) { rateLimited = true; break; }
 
     try {
-      const res = await fetch(`https://api.github.com/repos/${repoPath}/contributors?per_page=30`, {
-        headers: githubHeaders(env),
-      });
+      const res = await githubFetch(env, `/repos/${repoPath}/contributors?per_page=30`, { budget, task: 'githubContributors' });
+      // Not the repo's fault: leave its backoff alone and try again next run
+      if (isRateLimited(res)) { rateLimited = true; break; }
       if (!res.ok) {
         errors.push(`${repoPath}: HTTP ${res.status}`);
         scanState.repos[repoPath] = { ...repoState, contributors: new Date().toISOString(), contributorFails: (repoState.contributorFails || 0) + 1 };
@@ -835,7 +1814,7 @@ export async function scanGithubContributors(env, { deadline } = {}) {
           const before = (item.contributors || []).length;
           addContributor(item, agent);
           if ((item.contributors || []).length > before) {
-            changed = true;
+            changed.add(item);
             newContributors++;
           }
         } else if (!unmappedUsers.includes(c.login)) {
@@ -851,52 +1830,57 @@ export async function scanGithubContributors(env, { deadline } = {}) {
     }
   }
 
-  if (changed) await saveRetry(env, data);
+  await saveChanged(env, changed);
   await env.ROADMAP_KV.put(GITHUB_SCAN_KEY, JSON.stringify(scanState));
 
-  return { scannedRepos: scannedRepos.length, newContributors, unmappedUsers, errors, timedOut };
+  return { scannedRepos: scannedRepos.length, newContributors, unmappedUsers, errors, timedOut, rateLimited };
 }
 
 // ── GitHub Event Detection (Merged PRs → Deliverables) ──
 
-export async function scanGithubEvents(env, { deadline } = {}) {
+export async function scanGithubEvents(env, { deadline, budget, prefetched } = {}) {
   const scanState = await env.ROADMAP_KV.get(GITHUB_SCAN_KEY, 'json') || { version: 1, repos: {} };
   const mapping = await getGithubMapping(env);
+  const receipts = await getWebhookReceipts(env);
   const data = await getData(env);
   const now = Date.now();
-  let changed = false;
+  const changed = new Set();
   let newDeliverables = 0;
   let newContributors = 0;
   let timedOut = false;
+  let rateLimited = false;
   const scannedRepos = [];
   const errors = [];
 
-  for (const item of data.items) {
-    if (deadline && Date.now() >= deadline) { timedOut = true; break; }
-    const parsed = parseGithubUrl(item.githubUrl);
-    if (!parsed || parsed.type !== 'repo') continue;
-    if (item.githubData?.state === 'archived') continue; // skip dead repos
+  // Every live repo of every item (archived repos are dead, skip them)
+  const repos = data.items.flatMap(item => itemRepos(item).map(({ path }) => ({ item, repoPath: path })));
 
-    const repoPath = `${parsed.owner}/${parsed.repo}`;
+  for (const { item, repoPath } of repos) {
+    if (deadline && Date.now() >= deadline) { timedOut = true; break; }
     const repoState = scanState.repos[repoPath] || {};
+    if (!isEventScanDue(repoState, receipts, repoPath, now)) continue;
     const lastScan = repoState.events ? new Date(repoState.events).getTime() : 0;
-    // Back off: after 3+ consecutive failures, wait 1 hour instead of 15 minutes
-    const cooldown = (repoState.eventFails || 0) >= 3
-      ? 60 * 60 * 1000
-      : GITHUB_SCAN_COOLDOWN_MS;
-    if (now - lastScan < cooldown) continue;
+    // Merged PRs from the batched GraphQL pass, if it got the repo
+    const batched = prefetched?.get(repoPath.toLowerCase())?.pulls;
+    if (!batched && !hasGithubBudget(budget, 'githubEvents')) { rateLimited = true; break; }
 
     try {
-      const res = await fetch(
-        `https://api.github.com/repos/${repoPath}/pulls?state=closed&sort=updated&direction=desc&per_page=10`,
-        { headers: githubHeaders(env) }
-      );
-      if (!res.ok) {
-        errors.push(`${repoPath}: HTTP ${res.status}`);
-        scanState.repos[repoPath] = { ...repoState, events: new Date().toISOString(), eventFails: (repoState.eventFails || 0) + 1 };
-        continue;
+      let pulls = batched;
+      if (!pulls) {
+        const res = await githubFetch(
+          env,
+          `/repos/${repoPath}/pulls?state=closed&sort=updated&direction=desc&per_page=10`,
+          { budget, task: 'githubEvents' }
+        );
+        // Not the repo's fault: leave its backoff alone and try again next run
+        if (isRateLimited(res)) { rateLimited = true; break; }
+        if (!res.ok) {
+          errors.push(`${repoPath}: HTTP ${res.status}`);
+          scanState.repos[repoPath] = { ...repoState, events: new Date().toISOString(), eventFails: (repoState.eventFails || 0) + 1 };
+          continue;
+        }
+        pulls = await res.json();
       }
-      const pulls = await res.json();
 
       for (const pr of pulls) {
         if (!pr.merged_at) continue;
@@ -916,17 +1900,19 @@ export async function scanGithubEvents(env, { deadline } = {}) {
         item.deliverables.push({
           title: pr.title,
           url: pr.html_url,
+          repo: repoPath,
           addedAt: new Date().toISOString(),
           addedBy: agent || { displayName: pr.user?.login || 'unknown' },
         });
-        changed = true;
+        changed.add(item);
         newDeliverables++;
 
-        // Add PR author as contributor
+        // Add PR author as contributor; a merged PR keeps their claim alive
         if (agent) {
           const before = (item.contributors || []).length;
           addContributor(item, agent);
           if ((item.contributors || []).length > before) newContributors++;
+          renewClaim(item, agent);
         }
 
         // Record event
@@ -935,7 +1921,7 @@ export async function scanGithubEvents(env, { deadline } = {}) {
           agent: agent || null,
           itemId: item.id,
           itemTitle: item.title,
-          data: { title: pr.title, url: pr.html_url, source: 'github_pr' },
+          data: { title: pr.title, url: pr.html_url, repo: repoPath, source: 'github_pr' },
         });
       }
 
@@ -947,17 +1933,17 @@ export async function scanGithubEvents(env, { deadline } = {}) {
     }
   }
 
-  if (changed) await saveRetry(env, data);
+  await saveChanged(env, changed);
   await env.ROADMAP_KV.put(GITHUB_SCAN_KEY, JSON.stringify(scanState));
 
-  return { scannedRepos: scannedRepos.length, newDeliverables, newContributors, errors, timedOut };
+  return { scannedRepos: scannedRepos.length, newDeliverables, newContributors, errors, timedOut, rateLimited };
 }
 
 // ── Website URL Discovery ──
 
 const WEBSITE_SCAN_COOLDOWN_MS = 60 * 60 * 1000; // 1 hour
 
-export async function discoverWebsites(env, { deadline } = {}) {
+export async function discoverWebsites(env, { deadline, budget } = {}) {
   const scanState = await env.ROADMAP_KV.get(GITHUB_SCAN_KEY, 'json') || { version: 1, repos: {} };
 
   // One-time: reset website scan cooldowns when filter rules change
@@ -971,9 +1957,10 @@ export async function discoverWebsites(env, { deadline } = {}) {
 
   const data = await getData(env);
   const now = Date.now();
-  let changed = false;
+  const changed = new Set();
   let discovered = 0;
   let timedOut = false;
+  let rateLimited = false;
   const scannedRepos = [];
   const errors = [];
   let archivedMessages = null; // lazy-load
@@ -986,11 +1973,13 @@ export async function discoverWebsites(env, { deadline } = {}) {
 
   for (const item of data.items) {
     if (deadline && Date.now() >= deadline) { timedOut = true; break; }
-    // If homepage source, keep in sync with githubData.homepage
-    if (item.website?.source === 'homepage' && item.githubData?.homepage && item.website.url !== item.githubData.homepage) {
-      item.website.url = item.githubData.homepage;
+    const allRepos = itemRepos(item, { includeArchived: true });
+    // If homepage source, keep in sync with the repos' homepages (primary first)
+    const homepages = allRepos.map(({ repo }) => repo.githubData?.homepage).filter(Boolean);
+    if (item.website?.source === 'homepage' && homepages.length > 0 && !homepages.includes(item.website.url)) {
+      item.website.url = homepages[0];
       item.website.discoveredAt = new Date().toISOString();
-      changed = true;
+      changed.add(item);
     }
     // Re-evaluate existing websites that now fail the noise filter or are claimed by another project
     const shouldClear = item.website && (
@@ -1003,61 +1992,81 @@ export async function discoverWebsites(env, { deadline } = {}) {
     if (shouldClear) {
       claimedUrls.delete(item.website.url);
       item.website = null;
-      changed = true;
-      // Reset scan cooldown so this repo gets re-scanned immediately
-      const p = parseGithubUrl(item.githubUrl);
-      if (p) {
-        const rp = `${p.owner}/${p.repo}`;
-        if (scanState.repos[rp]) delete scanState.repos[rp].website;
+      changed.add(item);
+      // Reset scan cooldowns so this item's repos get re-scanned immediately
+      for (const { path } of allRepos) {
+        if (scanState.repos[path]) delete scanState.repos[path].website;
       }
       // fall through to re-discover below
     }
     // Skip if already discovered
     if (item.website) continue;
 
-    const parsed = parseGithubUrl(item.githubUrl);
-    if (!parsed || parsed.type !== 'repo') continue;
-    if (item.githubData?.state === 'archived') continue;
-
-    const repoPath = `${parsed.owner}/${parsed.repo}`;
-    const repoState = scanState.repos[repoPath] || {};
-    const lastScan = repoState.website ? new Date(repoState.website).getTime() : 0;
-    const cooldown = (repoState.websiteFails || 0) >= 3 ? 6 * 60 * 60 * 1000 : WEBSITE_SCAN_COOLDOWN_MS;
-    if (now - lastScan < cooldown) continue;
+    // Each live repo is scanned on its own cooldown
+    const due = itemRepos(item).filter(({ path }) => {
+      const repoState = scanState.repos[path] || {};
+      const lastScan = repoState.website ? new Date(repoState.website).getTime() : 0;
+      const cooldown = (repoState.websiteFails || 0) >= 3 ? 6 * 60 * 60 * 1000 : WEBSITE_SCAN_COOLDOWN_MS;
+      return now - lastScan >= cooldown;
+    });
+    if (due.length === 0) continue;
 
     let url = null;
     let source = null;
+    let readmeFailed = false;
+    const checked = [];
 
-    // Priority 1: GitHub homepage
-    if (item.githubData?.homepage && isDeploymentUrl(item.githubData.homepage) > 0) {
-      url = item.githubData.homepage;
-      source = 'homepage';
-    }
+    // Priorities 1-3 for each repo in turn, primary first
+    for (const { repo, path: repoPath } of due) {
+      const repoState = scanState.repos[repoPath] || {};
 
-    // Priority 2: GitHub description
-    if (!url) {
-      const descUrl = extractUrlFromDescription(item.githubData?.title, claimedUrls);
-      if (descUrl) { url = descUrl; source = 'description'; }
-    }
+      // Priority 1: GitHub homepage
+      if (repo.githubData?.homepage && isDeploymentUrl(repo.githubData.homepage) > 0) {
+        url = repo.githubData.homepage;
+        source = 'homepage';
+      }
 
-    // Priority 3: README (API call)
-    if (!url) {
-      try {
-        const res = await fetch(`https://api.github.com/repos/${repoPath}/readme`, {
-          headers: { ...githubHeaders(env), Accept: 'application/vnd.github.raw+json' },
-        });
-        if (res.ok) {
-          const readmeText = await res.text();
-          const readmeUrl = extractUrlFromReadme(readmeText, claimedUrls);
-          if (readmeUrl) { url = readmeUrl; source = 'readme'; }
+      // Priority 2: GitHub description
+      if (!url) {
+        const descUrl = extractUrlFromDescription(repo.githubData?.title, claimedUrls);
+        if (descUrl) { url = descUrl; source = 'description'; }
+      }
+
+      // Priority 3: README (API call)
+      if (!url) {
+        try {
+          const res = await githubFetch(env, `/repos/${repoPath}/readme`, {
+            accept: 'application/vnd.github.raw+json',
+            budget,
+            task: 'websites',
+          });
+          // Leave the repo unscanned and try again next run
+          if (isRateLimited(res)) { rateLimited = true; break; }
+          if (res.ok) {
+            const readmeText = await res.text();
+            const readmeUrl = extractUrlFromReadme(readmeText, claimedUrls);
+            if (readmeUrl) { url = readmeUrl; source = 'readme'; }
+          }
+        } catch (err) {
+          console.error('[discoverWebsites] README fetch failed', repoPath, err);
+          errors.push(`${repoPath}: README fetch failed`);
+          scanState.repos[repoPath] = { ...repoState, website: new Date().toISOString(), websiteFails: (repoState.websiteFails || 0) + 1 };
+          readmeFailed = true;
+          continue;
         }
-      } catch (err) {
-        console.error('[discoverWebsites] README fetch failed', repoPath, err);
-        errors.push(`${repoPath}: README fetch failed`);
-        scanState.repos[repoPath] = { ...repoState, website: new Date().toISOString(), websiteFails: (repoState.websiteFails || 0) + 1 };
-        continue;
       }
+
+      checked.push(repoPath);
+      if (url) break;
+    }
+    for (const repoPath of checked) {
+      scanState.repos[repoPath] = { ...scanState.repos[repoPath], website: new Date().toISOString(), websiteFails: 0 };
+      scannedRepos.push(repoPath);
     }
+    // The rest of the items wait for the next run
+    if (rateLimited) break;
+    // Try the other sources once every README could be read
+    if (!url && readmeFailed) continue;
 
     // Priority 4: Deliverable URLs (skip self-referencing board URLs)
     if (!url) {
@@ -1084,16 +2093,13 @@ export async function discoverWebsites(env, { deadline } = {}) {
       item.website = { url, source, discoveredAt: new Date().toISOString() };
       item.updatedAt = new Date().toISOString();
       claimedUrls.add(url);
-      changed = true;
+      changed.add(item);
       discovered++;
     }
-
-    scanState.repos[repoPath] = { ...repoState, website: new Date().toISOString(), websiteFails: 0 };
-    scannedRepos.push(repoPath);
   }
 
-  if (changed) await saveRetry(env, data);
+  await saveChanged(env, changed);
   await env.ROADMAP_KV.put(GITHUB_SCAN_KEY, JSON.stringify(scanState));
 
-  return { scannedRepos: scannedRepos.length, discovered, errors, timedOut };
+  return { scannedRepos: scannedRepos.length, discovered, errors, timedOut, rateLimited };
 }
@@ -0,0 +1,266 @@
+// Outbound webhooks
+// Agents register HTTPS endpoints that receive every recorded event matching
+// their filters as an HMAC-signed POST. Recording an event only queues its
+// deliveries under their own keys; /api/refresh sends them and retries
+// failures with backoff. Endpoints that keep failing are disabled
+// automatically.
+
+const WEBHOOK_PREFIX = 'roadmap:webhook:';
+const WEBHOOK_INDEX_KEY = 'roadmap:webhooks';
+const QUEUE_PREFIX = 'roadmap:webhook-retry:';
+const LOG_PREFIX = 'roadmap:webhook-log:';
+
+export const MAX_WEBHOOKS_PER_AGENT = 5;
+const DELIVERY_TIMEOUT_MS = 5000;
+const LOG_SIZE = 50;
+// Delay before each retry; a delivery is dropped once these run out
+const RETRY_DELAYS_MS = [60_000, 5 * 60_000, 30 * 60_000, 2 * 3600_000, 6 * 3600_000, 12 * 3600_000];
+// Consecutive failed attempts before an endpoint is disabled
+const MAX_CONSECUTIVE_FAILURES = 15;
+// Queued deliveries outlive their last scheduled attempt, then KV drops them
+const RETRY_TTL_SECONDS = 2 * 24 * 3600;
+
+const encoder = new TextEncoder();
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function generateSecret() {
+  return 'whsec_' + toHex(crypto.getRandomValues(new Uint8Array(24)));
+}
+
+// Signature over "{timestamp}.{body}" so receivers can reject replays
+export async function signPayload(secret, timestamp, body) {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const mac = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+  return 'sha256=' + toHex(mac);
+}
+
+// Strip the secret before a webhook leaves the server
+export function publicWebhook(hook) {
+  const { secret, ...rest } = hook;
+  return rest;
+}
+
+// ── Storage ──
+
+export async function getWebhookIndex(env) {
+  const raw = await env.ROADMAP_KV.get(WEBHOOK_INDEX_KEY, 'json');
+  return raw || { version: 1, ids: [] };
+}
+
+export async function getWebhook(env, id) {
+  return env.ROADMAP_KV.get(WEBHOOK_PREFIX + id, 'json');
+}
+
+export async function saveWebhook(env, hook) {
+  await env.ROADMAP_KV.put(WEBHOOK_PREFIX + hook.id, JSON.stringify(hook));
+}
+
+export async function getWebhooks(env) {
+  const index = await getWebhookIndex(env);
+  const hooks = await Promise.all(index.ids.map(id => getWebhook(env, id)));
+  return hooks.filter(Boolean);
+}
+
+export async function insertWebhook(env, hook) {
+  await saveWebhook(env, hook);
+  const index = await getWebhookIndex(env);
+  if (!index.ids.includes(hook.id)) index.ids.push(hook.id);
+  await env.ROADMAP_KV.put(WEBHOOK_INDEX_KEY, JSON.stringify(index));
+}
+
+export async function removeWebhook(env, id) {
+  const index = await getWebhookIndex(env);
+  index.ids = index.ids.filter(i => i !== id);
+  await env.ROADMAP_KV.put(WEBHOOK_INDEX_KEY, JSON.stringify(index));
+  await env.ROADMAP_KV.delete(WEBHOOK_PREFIX + id);
+  await env.ROADMAP_KV.delete(LOG_PREFIX + id);
+}
+
+export async function getDeliveryLog(env, id) {
+  const raw = await env.ROADMAP_KV.get(LOG_PREFIX + id, 'json');
+  return raw?.deliveries || [];
+}
+
+async function appendLog(env, id, entry) {
+  const deliveries = await getDeliveryLog(env, id);
+  deliveries.unshift(entry);
+  await env.ROADMAP_KV.put(LOG_PREFIX + id, JSON.stringify({ deliveries: deliveries.slice(0, LOG_SIZE) }));
+}
+
+// Returns an error message, or null if the URL is acceptable
+export function validateWebhookUrl(value) {
+  let url;
+  try { url = new URL(value); } catch { return 'url must be a valid URL'; }
+  if (url.protocol !== 'https:') return 'url must use https';
+  if (url.username || url.password) return 'url must not contain credentials';
+  const host = url.hostname;
+  if (host === 'localhost' || host.endsWith('.localhost') || /^[\d.]+$/.test(host) || host.startsWith('[')) {
+    return 'url must use a public hostname';
+  }
+  return null;
+}
+
+function matchesWebhook(hook, event) {
+  if (!hook.active) return false;
+  if (hook.types?.length && !hook.types.includes(event.type)) return false;
+  if (hook.itemIds?.length && !hook.itemIds.includes(event.itemId)) return false;
+  return true;
+}
+
+// ── Delivery ──
+
+// One POST attempt. Updates the webhook's health and delivery log.
+async function attemptDelivery(env, hook, delivery) {
+  const body = JSON.stringify({ deliveryId: delivery.deliveryId, webhookId: hook.id, event: delivery.event });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const started = Date.now();
+  let status = null;
+  let error = null;
+
+  try {
+    const res = await fetch(hook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'aibtc-projects-webhooks/1.0',
+        'X-AIBTC-Event': delivery.event.type,
+        'X-AIBTC-Delivery': delivery.deliveryId,
+        'X-AIBTC-Timestamp': timestamp,
+        'X-AIBTC-Signature': await signPayload(hook.secret, timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      redirect: 'manual',
+    });
+    status = res.status;
+    if (!res.ok) error = `HTTP ${res.status}`;
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? 'timeout' : (err.message || 'network error');
+  }
+
+  const ok = error === null;
+  const now = new Date().toISOString();
+
+  // Re-read so concurrent deliveries don't clobber each other's counters
+  const fresh = await getWebhook(env, hook.id);
+  if (fresh) {
+    fresh.lastDeliveryAt = now;
+    fresh.lastStatus = ok ? 'ok' : error;
+    if (ok) {
+      fresh.consecutiveFailures = 0;
+    } else {
+      fresh.consecutiveFailures = (fresh.consecutiveFailures || 0) + 1;
+      if (fresh.active && fresh.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+        fresh.active = false;
+        fresh.disabledAt = now;
+        fresh.disabledReason = `${fresh.consecutiveFailures} consecutive failed deliveries`;
+      }
+    }
+    await saveWebhook(env, fresh);
+  }
+
+  await appendLog(env, hook.id, {
+    deliveryId: delivery.deliveryId,
+    eventId: delivery.event.id,
+    eventType: delivery.event.type,
+    attempt: delivery.attempt,
+    ok,
+    status,
+    error,
+    durationMs: Date.now() - started,
+    at: now,
+  });
+
+  return ok;
+}
+
+async function queueDelivery(env, hook, delivery, delayMs) {
+  const retry = { ...delivery, webhookId: hook.id, nextAttemptAt: new Date(Date.now() + delayMs).toISOString() };
+  await env.ROADMAP_KV.put(QUEUE_PREFIX + delivery.deliveryId, JSON.stringify(retry), { expirationTtl: RETRY_TTL_SECONDS });
+}
+
+// Queue the next attempt after a failure. Returns false once retries run out.
+async function scheduleRetry(env, hook, delivery) {
+  const delay = RETRY_DELAYS_MS[delivery.attempt - 1];
+  if (delay === undefined) return false;
+  await queueDelivery(env, hook, { ...delivery, attempt: delivery.attempt + 1 }, delay);
+  return true;
+}
+
+// Called by recordEvent for every new event. Only writes to KV: the POSTs
+// go out from /api/refresh, so a slow receiver never holds up a request or
+// a scan that records events.
+export async function dispatchEvent(env, event) {
+  const hooks = (await getWebhooks(env)).filter(h => matchesWebhook(h, event));
+  await Promise.all(hooks.map(hook => {
+    const delivery = { deliveryId: 'd_' + crypto.randomUUID().slice(0, 12), event, attempt: 1 };
+    return queueDelivery(env, hook, delivery, 0);
+  }));
+}
+
+// Send a test event to one endpoint, without retries
+export async function pingWebhook(env, hook, agent) {
+  const event = {
+    id: 'e_ping_' + crypto.randomUUID().slice(0, 8),
+    type: 'webhook.ping',
+    timestamp: new Date().toISOString(),
+    agent: agent ? { btcAddress: agent.btcAddress, displayName: agent.displayName, agentId: agent.agentId } : null,
+    itemId: null,
+    itemTitle: null,
+    data: {},
+  };
+  const delivery = { deliveryId: 'd_' + crypto.randomUUID().slice(0, 12), event, attempt: 1 };
+  const ok = await attemptDelivery(env, hook, delivery);
+  return { ok, deliveryId: delivery.deliveryId };
+}
+
+// Send queued deliveries that are due. Called first thing by /api/refresh,
+// with its own slice of the run's time. A
+// delivery's key is only deleted once it has succeeded or been given up on;
+// a failed attempt overwrites it with the next one, so a run cut short
+// never loses a delivery.
+export async function processWebhookQueue(env, { deadline } = {}) {
+  const names = [];
+  let cursor;
+  do {
+    const page = await env.ROADMAP_KV.list({ prefix: QUEUE_PREFIX, cursor });
+    names.push(...page.keys.map(k => k.name));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  const now = Date.now();
+  let delivered = 0, failed = 0, dropped = 0, pending = 0;
+
+  for (const [i, name] of names.entries()) {
+    // Everything not reached yet stays queued for the next run
+    if (deadline && Date.now() >= deadline) return { delivered, failed, dropped, pending: pending + names.length - i, timedOut: true };
+
+    const queued = await env.ROADMAP_KV.get(name, 'json');
+    if (!queued) continue;
+    if (new Date(queued.nextAttemptAt).getTime() > now) { pending++; continue; }
+
+    const hook = await getWebhook(env, queued.webhookId);
+    // Deleted or disabled endpoints lose their queued deliveries
+    if (!hook || !hook.active) {
+      await env.ROADMAP_KV.delete(name);
+      dropped++;
+      continue;
+    }
+
+    const ok = await attemptDelivery(env, hook, queued);
+    if (ok) {
+      await env.ROADMAP_KV.delete(name);
+      delivered++;
+    } else if (await scheduleRetry(env, hook, queued)) {
+      failed++;
+    } else {
+      await env.ROADMAP_KV.delete(name);
+      dropped++;
+    }
+  }
+
+  return { delivered, failed, dropped, pending };
+}
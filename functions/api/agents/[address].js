@@ -0,0 +1,146 @@
+// Agent profile: GET /api/agents/{btcAddress}
+// Everything one agent has done on the board, gathered from the items
+// (founder, leader, claimant, contributors, ratings, deliverables, assigned
+// tasks) and the event log.
+
+import { lookupAgent, jsonResponse, conditionalJsonResponse, corsHeaders } from '../_auth.js';
+import { queryEvents } from '../_events.js';
+import { getData, deriveStatus } from '../_tasks.js';
+import { getLeaderboardState, getWeights, rankAgents } from '../_leaderboard.js';
+
+const RECENT_EVENTS = 20;
+// Only look this far back for the agent's recent events
+const RECENT_EVENT_DAYS = 30;
+
+const ADDRESS_RE = /^[a-zA-Z0-9]{14,90}$/;
+
+// Just enough of an item to list it on a profile
+function projectSummary(item) {
+  return {
+    id: item.id,
+    title: item.title,
+    status: item.status,
+    githubUrl: item.githubUrl,
+    progress: item.progress,
+    reputation: item.reputation,
+  };
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: corsHeaders() });
+}
+
+// GET - profile for one agent (public)
+export async function onRequestGet(context) {
+  const address = context.params.address;
+  if (!ADDRESS_RE.test(address || '')) {
+    return jsonResponse({ error: 'Invalid BTC address' }, 400, corsHeaders());
+  }
+
+  const data = await getData(context.env);
+  const is = (who) => who?.btcAddress === address;
+
+  const founded = [], leading = [], claimed = [], contributed = [];
+  const ratingsGiven = [], ratingsReceived = [], deliverables = [], assignedTasks = [];
+  // Best display name seen on the board, for agents the registry can't resolve
+  let seenAs = null;
+  const remember = (who) => { if (!seenAs && who?.displayName) seenAs = who; };
+
+  const byId = new Map(data.items.map(i => [i.id, i]));
+  for (const item of data.items) {
+    item.status = deriveStatus(item, byId);
+    const summary = projectSummary(item);
+
+    if (is(item.founder)) { founded.push(summary); remember(item.founder); }
+    if (is(item.leader)) { leading.push(summary); remember(item.leader); }
+    if (is(item.claimedBy)) {
+      claimed.push({ ...summary, claimedAt: item.claimedBy.claimedAt, expiresAt: item.claimedBy.expiresAt || null });
+      remember(item.claimedBy);
+    }
+    const contributor = (item.contributors || []).find(is);
+    if (contributor) { contributed.push(summary); remember(contributor); }
+
+    for (const r of item.ratings || []) {
+      if (is(r)) {
+        ratingsGiven.push({ itemId: item.id, itemTitle: item.title, score: r.score, review: r.review, hidden: !!r.hidden, reply: r.reply || null, ratedAt: r.ratedAt });
+        remember(r);
+      }
+    }
+    // Ratings received: what others think of the projects this agent founded or leads
+    if (is(item.founder) || is(item.leader)) {
+      for (const r of item.ratings || []) {
+        if (is(r)) continue;
+        ratingsReceived.push({
+          itemId: item.id,
+          itemTitle: item.title,
+          score: r.score,
+          review: r.review,
+          hidden: !!r.hidden,
+          reply: r.reply || null,
+          ratedAt: r.ratedAt,
+          by: { btcAddress: r.btcAddress, displayName: r.displayName },
+        });
+      }
+    }
+
+    // Issues and PRs assigned to the agent on GitHub, via the GitHub → agent mapping
+    for (const t of item.tasks || []) {
+      if (is(t.assignee)) assignedTasks.push({ itemId: item.id, itemTitle: item.title, id: t.id, url: t.url, title: t.title, state: t.state });
+    }
+
+    for (const d of item.deliverables || []) {
+      if (is(d.addedBy)) deliverables.push({ itemId: item.id, itemTitle: item.title, id: d.id, url: d.url, title: d.title, repo: d.repo, addedAt: d.addedAt });
+    }
+  }
+
+  const [registered, { events }, leaderboardState] = await Promise.all([
+    lookupAgent(context.env, address),
+    queryEvents(context.env, { agent: address, limit: RECENT_EVENTS, maxDays: RECENT_EVENT_DAYS }),
+    getLeaderboardState(context.env),
+  ]);
+  const standing = rankAgents(leaderboardState, '30d', getWeights(context.env)).find(a => a.btcAddress === address);
+  remember(events[0]?.agent);
+
+  if (!registered && !seenAs) {
+    return jsonResponse({ error: 'Agent not found' }, 404, corsHeaders());
+  }
+
+  const newestFirst = (key) => (a, b) => (b[key] || '').localeCompare(a[key] || '');
+  ratingsGiven.sort(newestFirst('ratedAt'));
+  ratingsReceived.sort(newestFirst('ratedAt'));
+  deliverables.sort(newestFirst('addedAt'));
+
+  const receivedAverage = ratingsReceived.length
+    ? Math.round((ratingsReceived.reduce((s, r) => s + r.score, 0) / ratingsReceived.length) * 10) / 10
+    : 0;
+
+  return conditionalJsonResponse(context.request, {
+    agent: {
+      btcAddress: address,
+      displayName: registered?.displayName || seenAs.displayName,
+      agentId: registered?.agentId ?? seenAs?.agentId ?? null,
+      description: registered?.description || null,
+      profileUrl: `https://aibtc.com/agents/${address}`,
+      registered: !!registered,
+    },
+    stats: {
+      founded: founded.length,
+      leading: leading.length,
+      claimed: claimed.length,
+      contributed: contributed.length,
+      ratingsGiven: ratingsGiven.length,
+      ratingsReceived: ratingsReceived.length,
+      averageRatingReceived: receivedAverage,
+      deliverables: deliverables.length,
+      assignedTasks: assignedTasks.filter(t => t.state === 'open').length,
+    },
+    projects: { founded, leading, claimed, contributed },
+    ratingsGiven,
+    ratingsReceived,
+    deliverables,
+    assignedTasks,
+    // 30-day contribution leaderboard standing, if the agent is on it
+    leaderboard: standing ? { window: '30d', rank: standing.rank, score: standing.score } : null,
+    recentEvents: events,
+  }, { headers: corsHeaders() });
+}
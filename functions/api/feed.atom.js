@@ -0,0 +1,11 @@
+import { corsHeaders } from './_auth.js';
+import { feedResponse } from './_feeds.js';
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: corsHeaders() });
+}
+
+// GET /api/feed.atom — Atom 1.0 version of /api/feed (same filters)
+export async function onRequestGet(context) {
+  return feedResponse(context, 'atom');
+}
@@ -1,31 +1,26 @@
 import { jsonResponse, corsHeaders } from './_auth.js';
-
-const EVENTS_KEY = 'roadmap:events';
+import { queryEvents } from './_events.js';
+import { parseFeedQuery } from './_feeds.js';
 
 export async function onRequestOptions() {
   return new Response(null, { status: 204, headers: corsHeaders() });
 }
 
 // GET /api/feed — public, returns events with optional filters
+//   type=a,b        one or more event types
+//   itemId=         events for one item
+//   agent=          events by one agent (BTC address)
+//   since= / until= time range (ISO 8601)
+//   before= / after= cursors from a previous response (nextCursor / prevCursor)
+// The same feed is available as /api/feed.atom, /api/feed.rss and /api/feed.json.
 export async function onRequestGet(context) {
   const url = new URL(context.request.url);
-  const limit = Math.min(parseInt(url.searchParams.get('limit') || '50', 10), 200);
-  const typeFilter = url.searchParams.get('type') || null;
-  const itemIdFilter = url.searchParams.get('itemId') || null;
-
-  const raw = await context.env.ROADMAP_KV.get(EVENTS_KEY, 'json');
-  const store = raw || { version: 1, events: [] };
-
-  let events = store.events;
-
-  if (typeFilter) {
-    events = events.filter(e => e.type === typeFilter);
-  }
-  if (itemIdFilter) {
-    events = events.filter(e => e.itemId === itemIdFilter);
+  const parsed = parseFeedQuery(url.searchParams);
+  if (parsed.error) {
+    return jsonResponse({ error: parsed.error }, 400, corsHeaders());
   }
 
-  events = events.slice(0, limit);
+  const { events, nextCursor, prevCursor } = await queryEvents(context.env, parsed.query);
 
-  return jsonResponse({ events, total: events.length }, 200, corsHeaders());
+  return jsonResponse({ events, total: events.length, nextCursor, prevCursor }, 200, corsHeaders());
 }
@@ -0,0 +1,11 @@
+import { corsHeaders } from './_auth.js';
+import { feedResponse } from './_feeds.js';
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: corsHeaders() });
+}
+
+// GET /api/feed.json — JSON Feed 1.1 version of /api/feed (same filters)
+export async function onRequestGet(context) {
+  return feedResponse(context, 'json');
+}
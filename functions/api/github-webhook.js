@@ -0,0 +1,326 @@
+// GitHub webhook receiver: POST /api/github-webhook
+// Install on a repo (or org) with content type application/json and the
+// GITHUB_WEBHOOK_SECRET secret. Deliveries update the items linked to the
+// repo straight away; /api/refresh only polls hooked-up repos as a slow
+// fallback (see pollInterval in _tasks.js).
+//
+// Handled events:
+// - pull_request: merged PRs become deliverables; tracked PRs follow their state
+// - repository:   archived, unarchived, edited, renamed and deleted repos
+// - release:      published releases become deliverables and the latest release
+// - issues:       tracked issues follow their state and assignee
+// - push:         the default branch's last push, and mapped commit authors
+//                 join the contributors
+
+import { jsonResponse, corsHeaders } from './_auth.js';
+import { recordEvents } from './_events.js';
+import { syncTopicTags } from './_tags.js';
+import {
+  getData, getItem, saveItem, addContributor, renewClaim, deriveStatus, syncStaleRepos, repoPath,
+  syncRepoSummary, repoDataFromApi, withHealth, taskFields, updateTask, computeTaskCounts,
+  getGithubMapping, resolveGithubUser, noteWebhookDelivery, renameRepoScanState,
+} from './_tasks.js';
+
+const encoder = new TextEncoder();
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// X-Hub-Signature-256 is "sha256=" + the hex HMAC of the raw body
+async function verifySignature(secret, body, header) {
+  if (!header || !header.startsWith('sha256=')) return false;
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const expected = 'sha256=' + toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(body)));
+  // Constant-time compare
+  if (header.length !== expected.length) return false;
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) diff |= header.charCodeAt(i) ^ expected.charCodeAt(i);
+  return diff === 0;
+}
+
+const isBot = (user) => user?.type === 'Bot' || !!user?.login?.endsWith('[bot]');
+
+// Apply a change to every live item `matches` picks, re-reading and retrying
+// on write conflicts. `apply(item)` returns the events to record, or null if
+// it changed nothing. Returns { updated, events }.
+async function updateItems(env, matches, apply) {
+  const data = await getData(env);
+  const ids = data.items.filter(matches).map(i => i.id);
+  let updated = 0;
+  const events = [];
+
+  for (const id of ids) {
+    for (let attempt = 0; ; attempt++) {
+      const item = await getItem(env, id);
+      if (!item || item.deletedAt || !matches(item)) break;
+      const produced = await apply(item);
+      if (!produced) break;
+      try {
+        await saveItem(env, item);
+        updated++;
+        events.push(...produced);
+        break;
+      } catch (err) {
+        if (err.name !== 'ConcurrencyError' || attempt >= 2) throw err;
+      }
+    }
+  }
+  return { updated, events };
+}
+
+const linksRepo = (path) => (item) => item.repos.some(r => repoPath(r.url) === path);
+const tracksTask = (path, number) => (item) => item.tasks.some(t => t.repo.toLowerCase() === path && t.number === number);
+
+// Bring a tracked issue or PR up to date from its payload
+async function applyTaskPayload(env, item, path, gd, mapping, now) {
+  const task = item.tasks.find(t => t.repo.toLowerCase() === path && t.number === gd.number);
+  if (!task) return [];
+  const event = updateTask(item, task, await taskFields(env, gd, mapping), now);
+  item.taskCounts = computeTaskCounts(item.tasks);
+  return event ? [{ ...event, agent: null }] : [];
+}
+
+// A merged PR or published release as a deliverable, once per URL
+async function addDeliverable(env, item, { title, url, repo, user, source }, mapping) {
+  if (!Array.isArray(item.deliverables)) item.deliverables = [];
+  if (item.deliverables.some(d => d.url === url)) return [];
+  const agent = user?.login ? await resolveGithubUser(env, user.login, mapping) : null;
+  item.deliverables.push({
+    title,
+    url,
+    repo,
+    addedAt: new Date().toISOString(),
+    addedBy: agent || { displayName: user?.login || 'unknown' },
+  });
+  if (agent) {
+    addContributor(item, agent);
+    renewClaim(item, agent);
+  }
+  return [{
+    type: 'item.deliverable_added',
+    agent: agent || null,
+    itemId: item.id,
+    itemTitle: item.title,
+    data: { title, url, repo, source },
+  }];
+}
+
+// ── Event Handlers ──
+// Each returns { updated, events }
+
+async function onPullRequest(env, payload) {
+  const pr = payload.pull_request;
+  const repo = payload.repository.full_name;
+  const path = repo.toLowerCase();
+  const mapping = await getGithubMapping(env);
+  const now = Date.now();
+  const merged = payload.action === 'closed' && pr.merged;
+  const gd = {
+    type: 'pr',
+    number: pr.number,
+    title: pr.title,
+    state: pr.state,
+    merged: !!pr.merged,
+    assignees: (pr.assignees || []).map(a => a.login),
+    labels: (pr.labels || []).map(l => l.name),
+    fetchedAt: new Date(now).toISOString(),
+  };
+
+  return updateItems(env, item => (merged && linksRepo(path)(item)) || tracksTask(path, pr.number)(item), async (item) => {
+    const events = await applyTaskPayload(env, item, path, gd, mapping, now);
+    if (merged && !isBot(pr.user) && linksRepo(path)(item)) {
+      events.push(...await addDeliverable(env, item, { title: pr.title, url: pr.html_url, repo, user: pr.user, source: 'github_pr' }, mapping));
+    }
+    // Task fields may have changed without an event (title, assignee)
+    item.updatedAt = new Date(now).toISOString();
+    return events;
+  });
+}
+
+async function onIssues(env, payload) {
+  const issue = payload.issue;
+  const path = payload.repository.full_name.toLowerCase();
+  const mapping = await getGithubMapping(env);
+  const now = Date.now();
+  const gd = {
+    type: 'issue',
+    number: issue.number,
+    title: issue.title,
+    state: issue.state,
+    merged: false,
+    assignees: (issue.assignees || []).map(a => a.login),
+    labels: (issue.labels || []).map(l => l.name),
+    fetchedAt: new Date(now).toISOString(),
+  };
+
+  return updateItems(env, tracksTask(path, issue.number), async (item) => {
+    const events = await applyTaskPayload(env, item, path, gd, mapping, now);
+    item.updatedAt = new Date(now).toISOString();
+    return events;
+  });
+}
+
+async function onRepository(env, payload) {
+  const repository = payload.repository;
+  let path = repository.full_name.toLowerCase();
+  const renamedFrom = payload.action === 'renamed' ? payload.changes?.repository?.name?.from : null;
+  // Renamed repos are still linked under their old name
+  if (renamedFrom) {
+    path = `${repository.owner.login}/${renamedFrom}`.toLowerCase();
+    await renameRepoScanState(env, path, repository.full_name);
+  }
+
+  return updateItems(env, linksRepo(path), async (item) => {
+    const repo = item.repos.find(r => repoPath(r.url) === path);
+    const oldStatus = deriveStatus(item);
+    const events = [];
+
+    if (renamedFrom) {
+      events.push({
+        type: 'item.repo_renamed',
+        agent: null,
+        itemId: item.id,
+        itemTitle: item.title,
+        data: { from: repo.url, to: repository.html_url },
+      });
+      repo.url = repository.html_url;
+    }
+    // The payload has no health metrics: keep the last known ones
+    repo.githubData = withHealth(repoDataFromApi(repository), repo.githubData);
+    // A deleted repo is as good as archived
+    if (payload.action === 'deleted') repo.githubData.state = 'archived';
+
+    syncRepoSummary(item);
+    syncTopicTags(item);
+    const newStatus = deriveStatus(item);
+    if (oldStatus !== newStatus) {
+      events.push({
+        type: 'item.status_synced',
+        agent: null,
+        itemId: item.id,
+        itemTitle: item.title,
+        data: { oldStatus, newStatus, reason: 'github_state' },
+      });
+    }
+    item.updatedAt = new Date().toISOString();
+    return events;
+  });
+}
+
+async function onRelease(env, payload) {
+  const release = payload.release;
+  if (payload.action !== 'published' || release.draft) return { updated: 0, events: [] };
+  const repo = payload.repository.full_name;
+  const path = repo.toLowerCase();
+  const mapping = await getGithubMapping(env);
+  // GitHub's latest release skips pre-releases
+  const latestRelease = release.prerelease
+    ? null
+    : { tag: release.tag_name, name: release.name || release.tag_name, url: release.html_url, publishedAt: release.published_at };
+
+  return updateItems(env, linksRepo(path), async (item) => {
+    const linked = item.repos.find(r => repoPath(r.url) === path);
+    const releaseChanged = !!latestRelease && linked.githubData?.latestRelease?.url !== latestRelease.url;
+    if (releaseChanged) {
+      linked.githubData = { ...linked.githubData, latestRelease };
+      syncRepoSummary(item);
+    }
+    const events = await addDeliverable(env, item, {
+      title: release.name || release.tag_name,
+      url: release.html_url,
+      repo,
+      user: release.author,
+      source: 'github_release',
+    }, mapping);
+    // Redelivered or already-seen release
+    if (!releaseChanged && events.length === 0) return null;
+    item.updatedAt = new Date().toISOString();
+    return events;
+  });
+}
+
+async function onPush(env, payload) {
+  const repository = payload.repository;
+  // Only the default branch counts as the project moving forward
+  if (payload.ref !== `refs/heads/${repository.default_branch}`) return { updated: 0, events: [] };
+  const path = repository.full_name.toLowerCase();
+  const mapping = await getGithubMapping(env);
+  const pushedAt = payload.head_commit?.timestamp
+    ? new Date(payload.head_commit.timestamp).toISOString()
+    : new Date().toISOString();
+  const authors = [...new Set((payload.commits || []).map(c => c.author?.username).filter(Boolean))];
+
+  return updateItems(env, linksRepo(path), async (item) => {
+    const repo = item.repos.find(r => repoPath(r.url) === path);
+    const oldStatus = deriveStatus(item);
+    const events = [];
+    repo.githubData = { ...repo.githubData, pushedAt };
+    // A push wakes up a stale repo
+    syncStaleRepos(item, Date.now());
+    syncRepoSummary(item);
+    for (const login of authors) {
+      const agent = await resolveGithubUser(env, login, mapping);
+      if (agent) addContributor(item, agent);
+    }
+    const newStatus = deriveStatus(item);
+    if (oldStatus !== newStatus) {
+      events.push({
+        type: 'item.status_synced',
+        agent: null,
+        itemId: item.id,
+        itemTitle: item.title,
+        data: { oldStatus, newStatus, reason: 'github_state' },
+      });
+    }
+    item.updatedAt = new Date().toISOString();
+    return events;
+  });
+}
+
+const HANDLERS = {
+  pull_request: onPullRequest,
+  issues: onIssues,
+  repository: onRepository,
+  release: onRelease,
+  push: onPush,
+};
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: corsHeaders() });
+}
+
+export async function onRequestPost(context) {
+  const secret = context.env.GITHUB_WEBHOOK_SECRET;
+  if (!secret) {
+    return jsonResponse({ error: 'GitHub webhook is not configured' }, 503, corsHeaders());
+  }
+
+  const body = await context.request.text();
+  const signature = context.request.headers.get('X-Hub-Signature-256');
+  if (!(await verifySignature(secret, body, signature))) {
+    return jsonResponse({ error: 'Invalid signature' }, 401, corsHeaders());
+  }
+
+  let payload;
+  try { payload = JSON.parse(body); } catch {
+    return jsonResponse({ error: 'Invalid JSON in request body' }, 400, corsHeaders());
+  }
+
+  const event = context.request.headers.get('X-GitHub-Event');
+  const fullName = payload.repository?.full_name;
+  // Org-level hooks also deliver events we don't need; GitHub only wants a 2xx
+  if (!fullName || (event !== 'ping' && !HANDLERS[event])) {
+    return jsonResponse({ ok: true, event, ignored: true }, 200, corsHeaders());
+  }
+
+  await noteWebhookDelivery(context.env, fullName, event);
+  if (event === 'ping') {
+    return jsonResponse({ ok: true, event, repo: fullName }, 200, corsHeaders());
+  }
+
+  const { updated, events } = await HANDLERS[event](context.env, payload);
+  if (events.length > 0) context.waitUntil(recordEvents(context.env, events));
+
+  return jsonResponse({ ok: true, event, repo: fullName, updated, events: events.length }, 200, corsHeaders());
+}
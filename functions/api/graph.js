@@ -0,0 +1,67 @@
+// Dependency graph between projects: GET /api/graph
+// Edges point from a project to the upstream project it depends on. Only
+// projects with at least one dependency or dependent are included.
+
+import { jsonResponse, conditionalJsonResponse, corsHeaders } from './_auth.js';
+import { getData, deriveStatus, blockingReason } from './_tasks.js';
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: corsHeaders() });
+}
+
+// GET /api/graph?id= (public). With id, only the projects connected to that
+// one, upstream and downstream.
+export async function onRequestGet(context) {
+  const url = new URL(context.request.url);
+  const focusId = url.searchParams.get('id');
+
+  // Trashed items are kept so edges to them can say why they block
+  const data = await getData(context.env, { includeDeleted: true });
+  const byId = new Map(data.items.map(i => [i.id, i]));
+  const live = data.items.filter(i => !i.deletedAt);
+  if (focusId && !live.some(i => i.id === focusId)) {
+    return jsonResponse({ error: 'Item not found' }, 404, corsHeaders());
+  }
+
+  let edges = [];
+  for (const item of live) {
+    for (const upstreamId of item.dependsOn) {
+      edges.push({ from: item.id, to: upstreamId, blocking: blockingReason(byId.get(upstreamId)) });
+    }
+  }
+
+  if (focusId) {
+    // Walk both directions from the focused item
+    const connected = new Set([focusId]);
+    const queue = [focusId];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      for (const e of edges) {
+        const next = e.from === id ? e.to : e.to === id ? e.from : null;
+        if (next && !connected.has(next)) { connected.add(next); queue.push(next); }
+      }
+    }
+    edges = edges.filter(e => connected.has(e.from));
+  }
+
+  const nodeIds = new Set(edges.flatMap(e => [e.from, e.to]));
+  if (focusId) nodeIds.add(focusId);
+  const nodes = [...nodeIds].map(id => {
+    const item = byId.get(id);
+    // Purged upstreams leave a bare id behind
+    if (!item) return { id, title: null, status: null, removed: true };
+    return {
+      id,
+      title: item.title,
+      status: item.deletedAt ? null : deriveStatus(item, byId),
+      githubUrl: item.githubUrl,
+      progress: item.progress,
+      leader: item.leader ? { btcAddress: item.leader.btcAddress, displayName: item.leader.displayName } : null,
+      dependsOn: item.dependsOn.length,
+      dependents: edges.filter(e => e.to === id).length,
+      removed: !!item.deletedAt,
+    };
+  });
+
+  return conditionalJsonResponse(context.request, { nodes, edges }, { headers: corsHeaders() });
+}
@@ -1,5 +1,11 @@
-import { getAgent, jsonResponse, corsHeaders, recordEvent } from './_auth.js';
-import { getData, saveData, ConcurrencyError, addContributor, parseGithubUrl, fetchGithubData, deriveStatus, refreshStaleGithubData, scanForMentions } from './_tasks.js';
+import { getAgent, lookupAgent, isModerator, AUTH_ERROR, jsonResponse, conditionalJsonResponse, corsHeaders } from './_auth.js';
+import { recordEvent, recordEvents } from './_events.js';
+import { getData, getItem, saveItem, insertItem, addContributor, MAX_DEPENDENCIES, findDependencyCycle, renewClaim, CLAIM_TTL_MS, GOAL_STATUSES, MAX_GOALS, isValidDueDate, isGithubLinkDone, syncGoals, TRASH_RETENTION_MS, parseGithubUrl, fetchGithubData, fetchRepoWithHealth, deriveStatus, MAX_REPOS, repoPath, repoForUrl, syncRepoSummary, MAX_TASKS, fetchTaskData, computeTaskCounts, refreshStaleGithubData, scanForMentions } from './_tasks.js';
+import { getPriority, orderItems } from './_priority.js';
+import { parseItemQuery, applyItemQuery } from './_search.js';
+import { parseTags, tagsFromTopics, syncTopicTags } from './_tags.js';
+import { getLeaderboardState } from './_leaderboard.js';
+import { computeReputation, raterAffiliation, reweighRatings, isReviewHidden, REVIEW_FLAG_REASONS, MAX_RATING_HISTORY } from './_reputation.js';
 
 function generateId() {
   return 'r_' + crypto.randomUUID().slice(0, 8);
@@ -12,13 +18,120 @@ function handleConcurrencyError(err) {
   throw err;
 }
 
-function computeReputation(ratings) {
-  if (!ratings || ratings.length === 0) return { average: 0, count: 0 };
-  const sum = ratings.reduce((s, r) => s + r.score, 0);
-  return { average: Math.round((sum / ratings.length) * 10) / 10, count: ratings.length };
+// addContributor is imported from _tasks.js (shared module)
+
+const REVIEW_ACTIONS = new Set(['reply_review', 'flag_review', 'moderate_review']);
+
+const REPO_ACTIONS = new Set(['add_repo', 'remove_repo', 'set_primary_repo']);
+
+const TASK_ACTIONS = new Set(['add_task', 'remove_task']);
+
+const GOAL_ACTIONS = new Set(['add_goal', 'update_goal', 'complete_goal', 'remove_goal', 'reorder_goals']);
+
+// Validate the editable goal fields present in the body.
+// Returns { fields } (only the keys that were sent) or { error }.
+function parseGoalFields(body, { requireTitle }) {
+  const fields = {};
+  if (body.title !== undefined || requireTitle) {
+    const title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (!title) return { error: 'title is required for a goal' };
+    if (title.length > 140) return { error: 'goal title must be 140 characters or fewer' };
+    fields.title = title;
+  }
+  if (body.description !== undefined) {
+    const description = typeof body.description === 'string' ? body.description.trim() : '';
+    if (description.length > 500) return { error: 'goal description must be 500 characters or fewer' };
+    fields.description = description;
+  }
+  if (body.dueDate !== undefined) {
+    if (body.dueDate !== null && !isValidDueDate(body.dueDate)) {
+      return { error: 'dueDate must be a date in YYYY-MM-DD form, or null' };
+    }
+    fields.dueDate = body.dueDate;
+  }
+  if (body.status !== undefined) {
+    if (!GOAL_STATUSES.includes(body.status)) {
+      return { error: `status must be one of: ${GOAL_STATUSES.join(', ')}` };
+    }
+    fields.status = body.status;
+  }
+  if (body.githubUrl !== undefined) {
+    const url = typeof body.githubUrl === 'string' ? body.githubUrl.trim() : null;
+    if (url !== null && !GOAL_LINK_TYPES.includes(parseGithubUrl(url)?.type)) {
+      return { error: 'githubUrl must link to a GitHub issue, PR or milestone, or be null' };
+    }
+    fields.githubUrl = url || null;
+  }
+  return { fields };
 }
 
-// addContributor is imported from _tasks.js (shared module)
+const GOAL_LINK_TYPES = ['issue', 'pr', 'milestone'];
+
+// Fetch the GitHub object a goal links to. Returns { link } or { error }.
+// If GitHub can't be reached the link is stored unfetched and the next
+// refresh fills it in.
+async function resolveGoalLink(env, url) {
+  if (!url) return { link: null };
+  const parsed = parseGithubUrl(url);
+  const gh = await fetchGithubData(url, env);
+  if (gh?._notFound) {
+    return { error: `GitHub ${parsed.type === 'pr' ? 'PR' : parsed.type} not found: ${url}` };
+  }
+  return {
+    link: {
+      url,
+      type: parsed.type,
+      owner: parsed.owner,
+      repo: parsed.repo,
+      number: parsed.number,
+      title: gh?.title || null,
+      state: gh?.state || null,
+      merged: gh?.merged || false,
+      fetchedAt: gh?.fetchedAt || null,
+    },
+  };
+}
+
+// Attach a link to a goal. Linking something that is already closed or
+// merged completes the goal straight away.
+function linkGoal(goal, link, now, goalEvents) {
+  goal.github = link;
+  if (!isGithubLinkDone(link) || goal.status === 'done') return;
+  goal.status = 'done';
+  goal.completedAt = now;
+  goalEvents.push({ type: 'item.goal_completed', data: { goalId: goal.id, goalTitle: goal.title, source: 'github', url: link.url } });
+}
+
+// Founder, current leader and moderators can delete and restore an item and
+// manage its dependencies
+function canManageItem(env, item, agent) {
+  if (item.founder?.btcAddress === agent.btcAddress) return true;
+  if (item.leader?.btcAddress === agent.btcAddress) return true;
+  return isModerator(env, agent);
+}
+
+// Check that a URL points at a GitHub repo (not an issue or PR).
+// Returns an error message, or null if it's fine.
+function repoUrlError(url, field) {
+  if (!url.match(/^https?:\/\/(www\.)?github\.com\/[^/]+\/[^/]+/)) {
+    return `${field} must be a valid GitHub URL.`;
+  }
+  const parsed = parseGithubUrl(url);
+  if (!parsed || parsed.type !== 'repo') {
+    return `${field} must point to a GitHub repo (e.g. github.com/org/repo), not an issue or PR.`;
+  }
+  return null;
+}
+
+// Fetch a repo's GitHub metadata for item.repos (non-blocking — rate limits
+// shouldn't prevent submission)
+async function fetchRepoData(env, url, fallbackTitle) {
+  return await fetchRepoWithHealth(env, url) || {
+    type: 'repo', number: null, title: fallbackTitle,
+    state: 'active', merged: false, assignees: [], labels: [], stars: 0,
+    fetchedAt: null, // null signals "needs refresh" to the GET stale-check
+  };
+}
 
 // Bump leader.lastActiveAt if the acting agent is the leader
 function bumpLeaderActivity(item, agent) {
@@ -32,20 +145,41 @@ export async function onRequestOptions() {
   return new Response(null, { status: 204, headers: corsHeaders() });
 }
 
-// GET - list all items (public, no auth)
+// GET - list items (public, no auth)
+// Optional: q, status, leader, contributor, founder, claimed, minRating,
+// sort (+ order), limit/offset and fields — see _search.js
 export async function onRequestGet(context) {
+  const url = new URL(context.request.url);
+  const { query, error } = parseItemQuery(url.searchParams);
+  if (error) {
+    return jsonResponse({ error }, 400, corsHeaders());
+  }
+
   const data = await getData(context.env);
 
-  // Derive status from GitHub state for every item
+  // Derive status from GitHub state and dependencies for every item
+  const byId = new Map(data.items.map(i => [i.id, i]));
   for (const item of data.items) {
-    item.status = deriveStatus(item);
+    item.status = deriveStatus(item, byId);
+  }
+
+  // Board order comes from aggregated priority votes (plus any moderator pins)
+  data.items = orderItems(data.items, await getPriority(context.env));
+
+  const { items, total } = applyItemQuery(data.items, query);
+  data.items = items;
+  data.total = total;
+  if (query.limit !== undefined || query.offset !== undefined) {
+    data.offset = query.offset || 0;
+    data.limit = query.limit ?? null;
   }
 
   // Kick off background tasks
   context.waitUntil(refreshStaleGithubData(context.env));
   context.waitUntil(scanForMentions(context.env));
 
-  return jsonResponse(data, 200, corsHeaders());
+  // ETag is a hash of the body, so unchanged boards answer 304
+  return conditionalJsonResponse(context.request, data, { headers: corsHeaders() });
 }
 
 // POST - add a new item (AIBTC agent auth required)
@@ -55,7 +189,7 @@ export async function onRequestPost(context) {
 async function _handlePost(context) {
   const agent = await getAgent(context.request, context.env);
   if (!agent) {
-    return jsonResponse({ error: 'Not authenticated. Use header: Authorization: AIBTC {btcAddress}' }, 401, corsHeaders());
+    return jsonResponse({ error: AUTH_ERROR }, 401, corsHeaders());
   }
 
   let body;
@@ -69,22 +203,20 @@ async function _handlePost(context) {
     return jsonResponse({ error: 'githubUrl is required. Provide a link to an open source GitHub repo.' }, 400, corsHeaders());
   }
   const ghUrl = body.githubUrl.trim();
-  if (!ghUrl.match(/^https?:\/\/(www\.)?github\.com\/[^/]+\/[^/]+/)) {
-    return jsonResponse({ error: 'githubUrl must be a valid GitHub URL.' }, 400, corsHeaders());
+  const urlError = repoUrlError(ghUrl, 'githubUrl');
+  if (urlError) {
+    return jsonResponse({ error: urlError }, 400, corsHeaders());
   }
 
-  // Must be a repo URL (not an issue or PR)
-  const parsed = parseGithubUrl(ghUrl);
-  if (!parsed || parsed.type !== 'repo') {
-    return jsonResponse({ error: 'githubUrl must point to a GitHub repo (e.g. github.com/org/repo), not an issue or PR.' }, 400, corsHeaders());
+  // Tags chosen by the founder; otherwise they follow the repo's GitHub topics
+  let tags = null;
+  if (body.tags !== undefined) {
+    const parsed = parseTags(body.tags);
+    if (parsed.error) return jsonResponse({ error: parsed.error }, 400, corsHeaders());
+    tags = parsed.tags;
   }
 
-  // Fetch GitHub metadata (non-blocking — rate limits shouldn't prevent submission)
-  const ghData = await fetchGithubData(ghUrl, context.env) || {
-    type: 'repo', number: null, title: body.title.trim(),
-    state: 'active', merged: false, assignees: [], labels: [], stars: 0,
-    fetchedAt: null, // null signals "needs refresh" to the GET stale-check
-  };
+  const ghData = await fetchRepoData(context.env, ghUrl, body.title.trim());
 
   const now = new Date().toISOString();
   const item = {
@@ -93,6 +225,8 @@ async function _handlePost(context) {
     description: (body.description || '').trim(),
     githubUrl: ghUrl,
     githubData: ghData,
+    repos: [{ url: ghUrl, primary: true, githubData: ghData, addedAt: now }],
+    stars: ghData.stars || 0,
     founder: {
       displayName: agent.displayName,
       btcAddress: agent.btcAddress,
@@ -116,16 +250,20 @@ async function _handlePost(context) {
     claimedBy: null,
     deliverables: [],
     ratings: [],
-    reputation: { average: 0, count: 0 },
+    reputation: computeReputation([]),
     goals: [],
+    progress: { completed: 0, total: 0, percent: 0 },
+    dependsOn: [],
+    tasks: [],
+    taskCounts: computeTaskCounts([]),
+    tags: tags || tagsFromTopics(ghData.labels),
+    tagsEditedBy: tags ? { btcAddress: agent.btcAddress, displayName: agent.displayName, editedAt: now } : null,
     mentions: { count: 0 },
     createdAt: now,
     updatedAt: now,
   };
 
-  const data = await getData(context.env);
-  data.items.push(item);
-  await saveData(context.env, data);
+  const index = await insertItem(context.env, item);
 
   context.waitUntil(recordEvent(context.env, {
     type: 'item.created',
@@ -135,7 +273,7 @@ async function _handlePost(context) {
     data: { status: item.status },
   }));
 
-  return jsonResponse({ item, position: data.items.length - 1 }, 201, corsHeaders());
+  return jsonResponse({ item, position: index.ids.indexOf(item.id) }, 201, corsHeaders());
 }
 
 // PUT - update an item (AIBTC agent auth required)
@@ -145,7 +283,7 @@ export async function onRequestPut(context) {
 async function _handlePut(context) {
   const agent = await getAgent(context.request, context.env);
   if (!agent) {
-    return jsonResponse({ error: 'Not authenticated. Use header: Authorization: AIBTC {btcAddress}' }, 401, corsHeaders());
+    return jsonResponse({ error: AUTH_ERROR }, 401, corsHeaders());
   }
 
   let body;
@@ -154,28 +292,62 @@ async function _handlePut(context) {
   }
   if (!body.id) return jsonResponse({ error: 'Item id is required' }, 400, corsHeaders());
 
-  const data = await getData(context.env);
-  const idx = data.items.findIndex(i => i.id === body.id);
-  if (idx === -1) return jsonResponse({ error: 'Item not found' }, 404, corsHeaders());
+  const item = await getItem(context.env, body.id);
+  if (!item) return jsonResponse({ error: 'Item not found' }, 404, corsHeaders());
 
-  const item = data.items[idx];
+  // ── Restore from trash ──
+  if (body.action === 'restore') {
+    if (!item.deletedAt) {
+      return jsonResponse({ error: 'Item is not in the trash' }, 400, corsHeaders());
+    }
+    if (!canManageItem(context.env, item, agent)) {
+      return jsonResponse({ error: 'Only the founder, leader or a moderator can restore this item' }, 403, corsHeaders());
+    }
+    const deletedAt = item.deletedAt;
+    delete item.deletedAt;
+    delete item.deletedBy;
+    bumpLeaderActivity(item, agent);
+    item.updatedAt = new Date().toISOString();
+    await saveItem(context.env, item);
+    context.waitUntil(recordEvent(context.env, {
+      type: 'item.restored',
+      agent,
+      itemId: item.id,
+      itemTitle: item.title,
+      data: { deletedAt },
+    }));
+    return jsonResponse({ item }, 200, corsHeaders());
+  }
+
+  // Trashed items can only be restored
+  if (item.deletedAt) return jsonResponse({ error: 'Item not found' }, 404, corsHeaders());
 
   // ── Claim action ──
   if (body.action === 'claim') {
+    // Claiming again as the current claimant renews the claim
+    if (item.claimedBy && item.claimedBy.btcAddress === agent.btcAddress) {
+      renewClaim(item, agent);
+      bumpLeaderActivity(item, agent);
+      item.updatedAt = new Date().toISOString();
+      await saveItem(context.env, item);
+      return jsonResponse({ item, renewed: true }, 200, corsHeaders());
+    }
     if (item.claimedBy) {
       return jsonResponse({ error: 'Item is already claimed', claimedBy: item.claimedBy }, 409, corsHeaders());
     }
+    const now = Date.now();
     item.claimedBy = {
       btcAddress: agent.btcAddress,
       displayName: agent.displayName,
       agentId: agent.agentId,
-      claimedAt: new Date().toISOString(),
+      claimedAt: new Date(now).toISOString(),
+      lastActiveAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + CLAIM_TTL_MS).toISOString(),
     };
     addContributor(item, agent);
     bumpLeaderActivity(item, agent);
     item.updatedAt = new Date().toISOString();
-    data.items[idx] = item;
-    await saveData(context.env, data);
+    await saveItem(context.env, item);
     context.waitUntil(recordEvent(context.env, {
       type: 'item.claimed',
       agent,
@@ -197,8 +369,7 @@ async function _handlePut(context) {
     item.claimedBy = null;
     bumpLeaderActivity(item, agent);
     item.updatedAt = new Date().toISOString();
-    data.items[idx] = item;
-    await saveData(context.env, data);
+    await saveItem(context.env, item);
     context.waitUntil(recordEvent(context.env, {
       type: 'item.unclaimed',
       agent,
@@ -223,14 +394,15 @@ async function _handlePut(context) {
       id: 'd_' + crypto.randomUUID().slice(0, 8),
       url: d.url.trim(),
       title: (d.title || d.url.trim()).trim(),
+      repo: repoForUrl(item, d.url.trim()),
       addedBy: { btcAddress: agent.btcAddress, displayName: agent.displayName, agentId: agent.agentId },
       addedAt: new Date().toISOString(),
     });
     addContributor(item, agent);
     bumpLeaderActivity(item, agent);
+    renewClaim(item, agent);
     item.updatedAt = new Date().toISOString();
-    data.items[idx] = item;
-    await saveData(context.env, data);
+    await saveItem(context.env, item);
     context.waitUntil(recordEvent(context.env, {
       type: 'item.deliverable_added',
       agent,
@@ -254,6 +426,8 @@ async function _handlePut(context) {
     if (!Array.isArray(item.ratings)) item.ratings = [];
     // Upsert: replace existing rating from this agent
     const existingIdx = item.ratings.findIndex(r => r.btcAddress === agent.btcAddress);
+    const previous = existingIdx !== -1 ? item.ratings[existingIdx] : null;
+    const previousScore = previous ? previous.score : null;
     const rating = {
       agentId: agent.agentId,
       btcAddress: agent.btcAddress,
@@ -261,100 +435,455 @@ async function _handlePut(context) {
       score,
       review: review || null,
       ratedAt: new Date().toISOString(),
+      // Ratings from the project's own team don't count toward its score
+      affiliation: raterAffiliation(item, agent.btcAddress, previous),
     };
+    if (previous) {
+      // Keep the earlier versions; flags and the leader's reply belonged to
+      // the old review, but a moderator's hide sticks until lifted
+      const { history = [], score: oldScore, review: oldReview, ratedAt, reply } = previous;
+      rating.history = [...history, { score: oldScore, review: oldReview, ratedAt, reply: reply || null }].slice(-MAX_RATING_HISTORY);
+      if (previous.moderation?.action === 'hidden') rating.moderation = previous.moderation;
+    }
+    rating.hidden = isReviewHidden(rating);
     if (existingIdx !== -1) {
       item.ratings[existingIdx] = rating;
     } else {
       item.ratings.push(rating);
     }
+    reweighRatings(item, await getLeaderboardState(context.env));
     item.reputation = computeReputation(item.ratings);
-    addContributor(item, agent);
+    // Rating is an outside opinion, not a contribution: raters aren't added
+    // as contributors, so a later rating isn't flagged as their own
     bumpLeaderActivity(item, agent);
     item.updatedAt = new Date().toISOString();
-    data.items[idx] = item;
-    await saveData(context.env, data);
+    await saveItem(context.env, item);
     context.waitUntil(recordEvent(context.env, {
       type: 'item.rated',
       agent,
       itemId: item.id,
       itemTitle: item.title,
-      data: { score, review: review || null, newAverage: item.reputation.average },
+      data: { score, previousScore, review: review || null, affiliation: rating.affiliation, weight: rating.weight, newAverage: item.reputation.average, rawAverage: item.reputation.rawAverage },
     }));
     return jsonResponse({ item }, 200, corsHeaders());
   }
 
-  // ── Add goal ──
-  if (body.action === 'add_goal') {
+  // ── Reviews (leader replies, flags, moderation) ──
+  if (REVIEW_ACTIONS.has(body.action)) {
+    if (!body.reviewer) {
+      return jsonResponse({ error: 'reviewer (the btcAddress of the rating) is required' }, 400, corsHeaders());
+    }
+    const rating = (item.ratings || []).find(r => r.btcAddress === body.reviewer);
+    if (!rating) return jsonResponse({ error: 'Review not found' }, 404, corsHeaders());
+    const note = typeof body.note === 'string' ? body.note.trim() : '';
+    if (note.length > 280) {
+      return jsonResponse({ error: 'note must be 280 characters or fewer' }, 400, corsHeaders());
+    }
+    const now = new Date().toISOString();
+    const reviewData = { reviewer: rating.btcAddress, reviewerName: rating.displayName };
+    const reviewEvents = [];
+    const wasHidden = !!rating.hidden;
+
+    if (body.action === 'reply_review') {
+      if (!item.leader || item.leader.btcAddress !== agent.btcAddress) {
+        return jsonResponse({ error: 'Only the project leader can reply to reviews' }, 403, corsHeaders());
+      }
+      const text = typeof body.reply === 'string' ? body.reply.trim() : '';
+      if (text.length > 280) {
+        return jsonResponse({ error: 'reply must be 280 characters or fewer' }, 400, corsHeaders());
+      }
+      // An empty reply removes it
+      rating.reply = text
+        ? { text, btcAddress: agent.btcAddress, displayName: agent.displayName, repliedAt: now }
+        : null;
+      if (text) reviewEvents.push({ type: 'item.review_replied', data: { ...reviewData, reply: text } });
+    } else if (body.action === 'flag_review') {
+      if (rating.btcAddress === agent.btcAddress) {
+        return jsonResponse({ error: 'You cannot flag your own review' }, 400, corsHeaders());
+      }
+      if (!REVIEW_FLAG_REASONS.includes(body.reason)) {
+        return jsonResponse({ error: `reason must be one of: ${REVIEW_FLAG_REASONS.join(', ')}` }, 400, corsHeaders());
+      }
+      // One flag per agent; flagging again updates it
+      const flag = { btcAddress: agent.btcAddress, displayName: agent.displayName, reason: body.reason, note: note || null, flaggedAt: now };
+      rating.flags = (rating.flags || []).filter(f => f.btcAddress !== agent.btcAddress).concat(flag);
+      reviewEvents.push({ type: 'item.review_flagged', data: { ...reviewData, reason: body.reason, flags: rating.flags.length } });
+    } else {
+      if (!isModerator(context.env, agent)) {
+        return jsonResponse({ error: 'Only moderators can moderate reviews' }, 403, corsHeaders());
+      }
+      if (typeof body.hidden !== 'boolean') {
+        return jsonResponse({ error: 'hidden must be true or false' }, 400, corsHeaders());
+      }
+      rating.moderation = {
+        action: body.hidden ? 'hidden' : 'approved',
+        btcAddress: agent.btcAddress,
+        displayName: agent.displayName,
+        note: note || null,
+        at: now,
+      };
+    }
+
+    rating.hidden = isReviewHidden(rating);
+    if (rating.hidden !== wasHidden) {
+      const by = body.action === 'moderate_review' ? 'moderator' : 'flags';
+      reviewEvents.push({ type: rating.hidden ? 'item.review_hidden' : 'item.review_unhidden', data: { ...reviewData, by, note: note || null } });
+    }
+    item.reputation = computeReputation(item.ratings);
+    bumpLeaderActivity(item, agent);
+    item.updatedAt = now;
+    await saveItem(context.env, item);
+    context.waitUntil(recordEvents(context.env, reviewEvents.map(ev => ({ ...ev, agent, itemId: item.id, itemTitle: item.title }))));
+    return jsonResponse({ item }, 200, corsHeaders());
+  }
+
+  // ── Roadmap (goals) ──
+  if (GOAL_ACTIONS.has(body.action)) {
     if (!item.leader || item.leader.btcAddress !== agent.btcAddress) {
-      return jsonResponse({ error: 'Only the project leader can add benchmarks' }, 403, corsHeaders());
+      return jsonResponse({ error: 'Only the project leader can manage benchmarks' }, 403, corsHeaders());
     }
-    const title = (body.title || '').trim();
-    if (!title) {
-      return jsonResponse({ error: 'title is required for a goal' }, 400, corsHeaders());
+    const now = new Date().toISOString();
+    const goalEvents = [];
+    let goal = null;
+
+    if (body.action !== 'add_goal' && body.action !== 'reorder_goals') {
+      if (!body.goalId) {
+        return jsonResponse({ error: 'goalId is required' }, 400, corsHeaders());
+      }
+      goal = item.goals.find(g => g.id === body.goalId);
+      if (!goal) {
+        return jsonResponse({ error: 'Goal not found' }, 404, corsHeaders());
+      }
     }
-    if (title.length > 140) {
-      return jsonResponse({ error: 'goal title must be 140 characters or fewer' }, 400, corsHeaders());
+
+    if (body.action === 'add_goal') {
+      if (item.goals.length >= MAX_GOALS) {
+        return jsonResponse({ error: `A roadmap can have at most ${MAX_GOALS} benchmarks` }, 400, corsHeaders());
+      }
+      const { fields, error } = parseGoalFields(body, { requireTitle: true });
+      if (error) return jsonResponse({ error }, 400, corsHeaders());
+      const resolved = await resolveGoalLink(context.env, fields.githubUrl);
+      if (resolved.error) return jsonResponse({ error: resolved.error }, 400, corsHeaders());
+      goal = {
+        id: 'g_' + crypto.randomUUID().slice(0, 8),
+        title: fields.title,
+        description: fields.description || '',
+        dueDate: fields.dueDate || null,
+        status: fields.status || 'planned',
+        completed: false,
+        addedBy: { btcAddress: agent.btcAddress, displayName: agent.displayName, agentId: agent.agentId },
+        addedAt: now,
+        completedAt: fields.status === 'done' ? now : null,
+        github: null,
+      };
+      // New milestones go to the end of the roadmap unless a position is given
+      const position = Number.isInteger(body.position) ? Math.max(0, Math.min(body.position, item.goals.length)) : item.goals.length;
+      item.goals.splice(position, 0, goal);
+      goalEvents.push({ type: 'item.goal_added', data: { goalId: goal.id, goalTitle: goal.title, dueDate: goal.dueDate, position, githubUrl: fields.githubUrl || null } });
+      if (resolved.link) linkGoal(goal, resolved.link, now, goalEvents);
     }
-    if (!Array.isArray(item.goals)) item.goals = [];
-    const goal = {
-      id: 'g_' + crypto.randomUUID().slice(0, 8),
-      title,
-      completed: false,
-      addedBy: { btcAddress: agent.btcAddress, displayName: agent.displayName, agentId: agent.agentId },
-      addedAt: new Date().toISOString(),
-      completedAt: null,
-    };
-    // Single active benchmark: move old goals to history, replace with new
-    if (item.goals.length > 0) {
-      if (!Array.isArray(item.goalHistory)) item.goalHistory = [];
-      item.goalHistory.push(...item.goals);
+
+    if (body.action === 'complete_goal') {
+      // Toggle, as before roadmaps: done ↔ planned
+      const wasDone = goal.status === 'done';
+      goal.status = wasDone ? 'planned' : 'done';
+      goal.completedAt = wasDone ? null : now;
+      goalEvents.push({ type: wasDone ? 'item.goal_reopened' : 'item.goal_completed', data: { goalId: goal.id, goalTitle: goal.title, source: 'manual' } });
     }
-    item.goals = [goal];
+
+    if (body.action === 'update_goal') {
+      const { fields: { githubUrl, ...fields }, error } = parseGoalFields(body, { requireTitle: false });
+      if (error) return jsonResponse({ error }, 400, corsHeaders());
+      const changed = Object.keys(fields).filter(k => fields[k] !== goal[k]);
+      const relink = githubUrl !== undefined && githubUrl !== (goal.github?.url || null);
+      if (relink) changed.push('githubUrl');
+      if (changed.length === 0) {
+        return jsonResponse({ error: 'Nothing to update' }, 400, corsHeaders());
+      }
+      const resolved = relink ? await resolveGoalLink(context.env, githubUrl) : null;
+      if (resolved?.error) return jsonResponse({ error: resolved.error }, 400, corsHeaders());
+      const before = { ...goal };
+      Object.assign(goal, fields);
+
+      if (changed.includes('dueDate')) {
+        // A new due date gets a fresh chance before it's reported as missed
+        delete goal.overdueAt;
+        if (before.dueDate && goal.dueDate && goal.dueDate > before.dueDate) {
+          const slipDays = Math.round((Date.parse(goal.dueDate) - Date.parse(before.dueDate)) / 86_400_000);
+          goalEvents.push({ type: 'item.goal_slipped', data: { goalId: goal.id, goalTitle: goal.title, oldDueDate: before.dueDate, newDueDate: goal.dueDate, slipDays } });
+        }
+      }
+      if (changed.includes('status') && (goal.status === 'done') !== (before.status === 'done')) {
+        goal.completedAt = goal.status === 'done' ? now : null;
+        goalEvents.push({ type: goal.status === 'done' ? 'item.goal_completed' : 'item.goal_reopened', data: { goalId: goal.id, goalTitle: goal.title, source: 'manual' } });
+      }
+      if (relink) linkGoal(goal, resolved.link, now, goalEvents);
+      if (goalEvents.length === 0) {
+        goalEvents.push({ type: 'item.goal_updated', data: { goalId: goal.id, goalTitle: goal.title, changed } });
+      }
+    }
+
+    if (body.action === 'remove_goal') {
+      item.goals = item.goals.filter(g => g.id !== goal.id);
+      goalEvents.push({ type: 'item.goal_removed', data: { goalId: goal.id, goalTitle: goal.title } });
+    }
+
+    if (body.action === 'reorder_goals') {
+      const ids = body.goalIds;
+      const current = new Set(item.goals.map(g => g.id));
+      if (!Array.isArray(ids) || ids.length !== current.size || new Set(ids).size !== ids.length || ids.some(id => !current.has(id))) {
+        return jsonResponse({ error: 'goalIds must list every benchmark id on the roadmap exactly once' }, 400, corsHeaders());
+      }
+      item.goals = ids.map(id => item.goals.find(g => g.id === id));
+      goalEvents.push({ type: 'item.goals_reordered', data: { goalIds: ids } });
+    }
+
+    syncGoals(item);
     addContributor(item, agent);
+    bumpLeaderActivity(item, agent);
+    renewClaim(item, agent);
+    item.updatedAt = now;
+    await saveItem(context.env, item);
+    context.waitUntil(recordEvents(context.env, goalEvents.map(ev => ({
+      type: ev.type,
+      agent,
+      itemId: item.id,
+      itemTitle: item.title,
+      data: { ...ev.data, progress: item.progress.percent },
+    }))));
+    return jsonResponse({ item }, 200, corsHeaders());
+  }
+
+  // ── Tags ──
+  if (body.action === 'set_tags') {
+    if (!item.leader || item.leader.btcAddress !== agent.btcAddress) {
+      return jsonResponse({ error: 'Only the project leader can set tags' }, 403, corsHeaders());
+    }
+    const oldTags = item.tags;
+    const now = new Date().toISOString();
+    if (body.tags === null) {
+      // Go back to following the repo's GitHub topics
+      item.tagsEditedBy = null;
+      syncTopicTags(item);
+    } else {
+      const parsed = parseTags(body.tags);
+      if (parsed.error) return jsonResponse({ error: parsed.error }, 400, corsHeaders());
+      item.tags = parsed.tags;
+      item.tagsEditedBy = { btcAddress: agent.btcAddress, displayName: agent.displayName, editedAt: now };
+    }
+
+    bumpLeaderActivity(item, agent);
+    item.updatedAt = now;
+    await saveItem(context.env, item);
+    const added = item.tags.filter(t => !oldTags.includes(t));
+    const removed = oldTags.filter(t => !item.tags.includes(t));
+    if (added.length > 0 || removed.length > 0) {
+      context.waitUntil(recordEvent(context.env, {
+        type: 'item.tags_changed',
+        agent,
+        itemId: item.id,
+        itemTitle: item.title,
+        data: { tags: item.tags, added, removed, source: item.tagsEditedBy ? 'leader' : 'github' },
+      }));
+    }
+    return jsonResponse({ item }, 200, corsHeaders());
+  }
+
+  // ── Dependencies ──
+  if (body.action === 'add_dependency' || body.action === 'remove_dependency') {
+    if (!canManageItem(context.env, item, agent)) {
+      return jsonResponse({ error: 'Only the founder, leader or a moderator can manage dependencies' }, 403, corsHeaders());
+    }
+    const upstreamId = body.dependsOn;
+    if (!upstreamId || typeof upstreamId !== 'string') {
+      return jsonResponse({ error: 'dependsOn (an item id) is required' }, 400, corsHeaders());
+    }
+
+    let upstream;
+    if (body.action === 'add_dependency') {
+      if (upstreamId === item.id) {
+        return jsonResponse({ error: 'An item cannot depend on itself' }, 400, corsHeaders());
+      }
+      if (item.dependsOn.includes(upstreamId)) {
+        return jsonResponse({ error: 'Dependency already exists' }, 400, corsHeaders());
+      }
+      if (item.dependsOn.length >= MAX_DEPENDENCIES) {
+        return jsonResponse({ error: `An item can depend on at most ${MAX_DEPENDENCIES} others` }, 400, corsHeaders());
+      }
+      upstream = await getItem(context.env, upstreamId);
+      if (!upstream || upstream.deletedAt) {
+        return jsonResponse({ error: 'Dependency not found' }, 404, corsHeaders());
+      }
+      const cycle = findDependencyCycle((await getData(context.env)).items, item.id, upstreamId);
+      if (cycle) {
+        return jsonResponse({ error: 'Dependency would create a cycle', cycle }, 409, corsHeaders());
+      }
+      item.dependsOn.push(upstreamId);
+    } else {
+      if (!item.dependsOn.includes(upstreamId)) {
+        return jsonResponse({ error: 'Dependency not found' }, 404, corsHeaders());
+      }
+      // The upstream may be trashed or purged by now; the title is best effort
+      upstream = await getItem(context.env, upstreamId);
+      item.dependsOn = item.dependsOn.filter(id => id !== upstreamId);
+    }
+
     bumpLeaderActivity(item, agent);
     item.updatedAt = new Date().toISOString();
-    data.items[idx] = item;
-    await saveData(context.env, data);
+    await saveItem(context.env, item);
     context.waitUntil(recordEvent(context.env, {
-      type: 'item.goal_added',
+      type: body.action === 'add_dependency' ? 'item.dependency_added' : 'item.dependency_removed',
       agent,
       itemId: item.id,
       itemTitle: item.title,
-      data: { goalId: goal.id, goalTitle: goal.title },
+      data: { dependsOnId: upstreamId, dependsOnTitle: upstream?.title || null },
     }));
     return jsonResponse({ item }, 200, corsHeaders());
   }
 
-  // ── Complete goal ──
-  if (body.action === 'complete_goal') {
-    if (!item.leader || item.leader.btcAddress !== agent.btcAddress) {
-      return jsonResponse({ error: 'Only the project leader can complete benchmarks' }, 403, corsHeaders());
+  // ── Repositories ──
+  if (REPO_ACTIONS.has(body.action)) {
+    if (!canManageItem(context.env, item, agent)) {
+      return jsonResponse({ error: 'Only the founder, leader or a moderator can manage repos' }, 403, corsHeaders());
     }
-    if (!body.goalId) {
-      return jsonResponse({ error: 'goalId is required' }, 400, corsHeaders());
+    const url = typeof body.repo === 'string' ? body.repo.trim() : '';
+    if (!url) {
+      return jsonResponse({ error: 'repo (a GitHub repo URL) is required' }, 400, corsHeaders());
     }
-    if (!Array.isArray(item.goals)) item.goals = [];
-    const goal = item.goals.find(g => g.id === body.goalId);
-    if (!goal) {
-      return jsonResponse({ error: 'Goal not found' }, 404, corsHeaders());
+    const existing = item.repos.find(r => repoPath(r.url) === repoPath(url));
+    const previousPrimary = item.githubUrl;
+    let type, changedUrl;
+
+    if (body.action === 'add_repo') {
+      const urlError = repoUrlError(url, 'repo');
+      if (urlError) return jsonResponse({ error: urlError }, 400, corsHeaders());
+      if (existing) {
+        return jsonResponse({ error: 'Repo already linked to this item' }, 400, corsHeaders());
+      }
+      if (item.repos.length >= MAX_REPOS) {
+        return jsonResponse({ error: `An item can link at most ${MAX_REPOS} repos` }, 400, corsHeaders());
+      }
+      const ghData = await fetchRepoData(context.env, url, item.title);
+      if (ghData._notFound) {
+        return jsonResponse({ error: `GitHub repo not found: ${url}` }, 404, corsHeaders());
+      }
+      if (body.primary === true) for (const r of item.repos) r.primary = false;
+      item.repos.push({ url, primary: body.primary === true, githubData: ghData, addedAt: new Date().toISOString() });
+      type = 'item.repo_added';
+      changedUrl = url;
+    } else {
+      if (!existing) {
+        return jsonResponse({ error: 'Repo not found on this item' }, 404, corsHeaders());
+      }
+      changedUrl = existing.url;
+      if (body.action === 'remove_repo') {
+        if (item.repos.length === 1) {
+          return jsonResponse({ error: 'An item needs at least one repo' }, 400, corsHeaders());
+        }
+        item.repos = item.repos.filter(r => r !== existing);
+        type = 'item.repo_removed';
+      } else {
+        if (existing.primary) {
+          return jsonResponse({ error: 'Repo is already the primary repo' }, 400, corsHeaders());
+        }
+        for (const r of item.repos) r.primary = r === existing;
+        type = 'item.primary_repo_changed';
+      }
     }
-    goal.completed = !goal.completed;
-    goal.completedAt = goal.completed ? new Date().toISOString() : null;
-    addContributor(item, agent);
+
+    // Removing the primary hands it to the next repo
+    syncRepoSummary(item);
+    syncTopicTags(item);
+    // Deliverables already on a newly linked repo are attributed to it
+    for (const d of item.deliverables || []) {
+      if (!d.repo) d.repo = repoForUrl(item, d.url);
+    }
+    const data = { url: changedUrl, primaryUrl: item.githubUrl };
+    if (item.githubUrl !== previousPrimary) data.previousPrimaryUrl = previousPrimary;
     bumpLeaderActivity(item, agent);
     item.updatedAt = new Date().toISOString();
-    data.items[idx] = item;
-    await saveData(context.env, data);
+    await saveItem(context.env, item);
     context.waitUntil(recordEvent(context.env, {
-      type: goal.completed ? 'item.goal_completed' : 'item.goal_reopened',
+      type,
       agent,
       itemId: item.id,
       itemTitle: item.title,
-      data: { goalId: goal.id, goalTitle: goal.title },
+      data,
     }));
     return jsonResponse({ item }, 200, corsHeaders());
   }
 
+  // ── Tracked tasks ──
+  if (TASK_ACTIONS.has(body.action)) {
+    let task, type;
+
+    if (body.action === 'add_task') {
+      const isContributor = (item.contributors || []).some(c => c.btcAddress === agent.btcAddress);
+      if (!isContributor && !canManageItem(context.env, item, agent)) {
+        return jsonResponse({ error: 'Only contributors, the leader or a moderator can add tasks' }, 403, corsHeaders());
+      }
+      const url = typeof body.url === 'string' ? body.url.trim() : '';
+      const parsed = parseGithubUrl(url);
+      if (!parsed || (parsed.type !== 'issue' && parsed.type !== 'pr')) {
+        return jsonResponse({ error: 'url must link to a GitHub issue or PR' }, 400, corsHeaders());
+      }
+      const key = `${parsed.owner}/${parsed.repo}#${parsed.number}`.toLowerCase();
+      if (item.tasks.some(t => `${t.repo}#${t.number}`.toLowerCase() === key)) {
+        return jsonResponse({ error: 'Task already tracked on this item' }, 400, corsHeaders());
+      }
+      if (item.tasks.length >= MAX_TASKS) {
+        return jsonResponse({ error: `An item can track at most ${MAX_TASKS} tasks` }, 400, corsHeaders());
+      }
+      // If GitHub can't be reached the task is stored unfetched and the next
+      // refresh fills it in
+      const fresh = await fetchTaskData(context.env, url);
+      if (fresh?._notFound) {
+        return jsonResponse({ error: `GitHub ${parsed.type === 'pr' ? 'PR' : 'issue'} not found: ${url}` }, 404, corsHeaders());
+      }
+      const now = new Date().toISOString();
+      task = {
+        id: 't_' + crypto.randomUUID().slice(0, 8),
+        url,
+        type: parsed.type,
+        repo: `${parsed.owner}/${parsed.repo}`,
+        number: parsed.number,
+        title: fresh?.title || null,
+        state: fresh?.state || null,
+        labels: fresh?.labels || [],
+        assignee: fresh?.assignee || null,
+        addedBy: { btcAddress: agent.btcAddress, displayName: agent.displayName },
+        addedAt: now,
+        closedAt: fresh && fresh.state !== 'open' ? now : null,
+        fetchedAt: fresh?.fetchedAt || null,
+      };
+      item.tasks.push(task);
+      type = 'item.task_added';
+    } else {
+      task = item.tasks.find(t => t.id === body.taskId);
+      if (!task) {
+        return jsonResponse({ error: 'Task not found' }, 404, corsHeaders());
+      }
+      if (!canManageItem(context.env, item, agent) && task.addedBy?.btcAddress !== agent.btcAddress) {
+        return jsonResponse({ error: 'Only the agent who added a task, the founder, leader or a moderator can remove it' }, 403, corsHeaders());
+      }
+      item.tasks = item.tasks.filter(t => t !== task);
+      type = 'item.task_removed';
+    }
+
+    item.taskCounts = computeTaskCounts(item.tasks);
+    bumpLeaderActivity(item, agent);
+    item.updatedAt = new Date().toISOString();
+    await saveItem(context.env, item);
+    context.waitUntil(recordEvent(context.env, {
+      type,
+      agent,
+      itemId: item.id,
+      itemTitle: item.title,
+      data: { taskId: task.id, title: task.title, url: task.url, state: task.state },
+    }));
+    return jsonResponse({ item, task }, 200, corsHeaders());
+  }
+
   // ── Transfer leadership ──
   if (body.action === 'transfer_leadership') {
     if (!item.leader || item.leader.btcAddress !== agent.btcAddress) {
@@ -365,8 +894,7 @@ async function _handlePut(context) {
     }
     const targetAddress = body.targetAddress.trim();
     // Verify target is a registered AIBTC agent
-    const targetReq = new Request(`https://placeholder`, { headers: { Authorization: `AIBTC ${targetAddress}` } });
-    const targetAgent = await getAgent(targetReq, context.env);
+    const targetAgent = await lookupAgent(context.env, targetAddress);
     if (!targetAgent) {
       return jsonResponse({ error: 'Target address is not a registered AIBTC agent' }, 400, corsHeaders());
     }
@@ -383,8 +911,7 @@ async function _handlePut(context) {
     addContributor(item, agent);
     addContributor(item, targetAgent);
     item.updatedAt = now;
-    data.items[idx] = item;
-    await saveData(context.env, data);
+    await saveItem(context.env, item);
     context.waitUntil(recordEvent(context.env, {
       type: 'item.leadership_transferred',
       agent,
@@ -431,8 +958,7 @@ async function _handlePut(context) {
     };
     addContributor(item, agent);
     item.updatedAt = now;
-    data.items[idx] = item;
-    await saveData(context.env, data);
+    await saveItem(context.env, item);
     context.waitUntil(recordEvent(context.env, {
       type: 'item.leadership_claimed',
       agent,
@@ -455,13 +981,32 @@ async function _handlePut(context) {
     item.searchTerms = body.searchTerms.map(t => t.toLowerCase().trim()).filter(t => t.length > 2);
   }
 
+  // githubUrl replaces the primary repo; the next repo takes over if it's cleared
   if (body.githubUrl !== undefined) {
-    item.githubUrl = body.githubUrl.trim();
-    if (item.githubUrl) {
-      item.githubData = await fetchGithubData(item.githubUrl, context.env);
+    if (typeof body.githubUrl !== 'string') {
+      return jsonResponse({ error: 'githubUrl must be a GitHub repo URL' }, 400, corsHeaders());
+    }
+    const url = body.githubUrl.trim();
+    const others = item.repos.filter(r => !r.primary && repoPath(r.url) !== repoPath(url));
+    if (url) {
+      const urlError = repoUrlError(url, 'githubUrl');
+      if (urlError) return jsonResponse({ error: urlError }, 400, corsHeaders());
+      const githubData = await fetchRepoWithHealth(context.env, url);
+      if (githubData?._notFound) {
+        return jsonResponse({ error: `GitHub repo not found: ${url}` }, 404, corsHeaders());
+      }
+      if (!githubData) {
+        return jsonResponse({ error: `Could not fetch ${url} from GitHub, try again later` }, 400, corsHeaders());
+      }
+      item.repos = [{ url, primary: true, githubData, addedAt: new Date().toISOString() }, ...others];
     } else {
-      item.githubData = null;
+      if (others.length === 0) {
+        return jsonResponse({ error: 'An item needs at least one repo' }, 400, corsHeaders());
+      }
+      item.repos = others;
     }
+    syncRepoSummary(item);
+    syncTopicTags(item);
   }
 
   // Track this agent as a contributor
@@ -469,8 +1014,7 @@ async function _handlePut(context) {
   bumpLeaderActivity(item, agent);
 
   item.updatedAt = new Date().toISOString();
-  data.items[idx] = item;
-  await saveData(context.env, data);
+  await saveItem(context.env, item);
 
   // Emit events
   if (events.length > 0) {
@@ -496,14 +1040,14 @@ async function _handlePut(context) {
   return jsonResponse({ item }, 200, corsHeaders());
 }
 
-// DELETE - remove an item (AIBTC agent auth required)
+// DELETE - move an item to the trash (founder, leader or moderator)
 export async function onRequestDelete(context) {
   try { return await _handleDelete(context); } catch (err) { return handleConcurrencyError(err); }
 }
 async function _handleDelete(context) {
   const agent = await getAgent(context.request, context.env);
   if (!agent) {
-    return jsonResponse({ error: 'Not authenticated. Use header: Authorization: AIBTC {btcAddress}' }, 401, corsHeaders());
+    return jsonResponse({ error: AUTH_ERROR }, 401, corsHeaders());
   }
 
   let body;
@@ -512,21 +1056,29 @@ async function _handleDelete(context) {
   }
   if (!body.id) return jsonResponse({ error: 'Item id is required' }, 400, corsHeaders());
 
-  const data = await getData(context.env);
-  const idx = data.items.findIndex(i => i.id === body.id);
-  if (idx === -1) return jsonResponse({ error: 'Item not found' }, 404, corsHeaders());
+  const item = await getItem(context.env, body.id);
+  if (!item || item.deletedAt) return jsonResponse({ error: 'Item not found' }, 404, corsHeaders());
+  if (!canManageItem(context.env, item, agent)) {
+    return jsonResponse({ error: 'Only the founder, leader or a moderator can delete this item' }, 403, corsHeaders());
+  }
 
-  const deleted = data.items[idx];
-  data.items.splice(idx, 1);
-  await saveData(context.env, data);
+  // Snapshot before tombstoning so the event alone is enough to restore it
+  const snapshot = { ...item };
+  delete snapshot.writeVersion;
+
+  const now = new Date().toISOString();
+  item.deletedAt = now;
+  item.deletedBy = { btcAddress: agent.btcAddress, displayName: agent.displayName, agentId: agent.agentId };
+  item.updatedAt = now;
+  await saveItem(context.env, item);
 
   context.waitUntil(recordEvent(context.env, {
     type: 'item.deleted',
     agent,
-    itemId: deleted.id,
-    itemTitle: deleted.title,
-    data: {},
+    itemId: item.id,
+    itemTitle: item.title,
+    data: { snapshot },
   }));
 
-  return jsonResponse({ ok: true }, 200, corsHeaders());
+  return jsonResponse({ ok: true, deletedAt: now, purgeAfter: new Date(Date.now() + TRASH_RETENTION_MS).toISOString() }, 200, corsHeaders());
 }
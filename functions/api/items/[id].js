@@ -0,0 +1,47 @@
+// Single project resource: GET /api/items/{id}
+// Reads one item key instead of the whole board. Writes still go through
+// PUT/DELETE /api/items.
+
+import { jsonResponse, conditionalJsonResponse, corsHeaders } from '../_auth.js';
+import { queryEvents } from '../_events.js';
+import { getItem, getDependencies, deriveStatus, blockingDependencies, TRASH_RETENTION_MS } from '../_tasks.js';
+
+const RECENT_EVENTS = 20;
+// Only look this far back for the item's recent events
+const RECENT_EVENT_DAYS = 30;
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: corsHeaders() });
+}
+
+// GET - one item with derived status, recent events and mention count (public)
+export async function onRequestGet(context) {
+  const id = context.params.id;
+  const item = await getItem(context.env, id);
+  if (!item) {
+    return jsonResponse({ error: 'Item not found' }, 404, corsHeaders());
+  }
+
+  const upstream = await getDependencies(context.env, item);
+  item.status = deriveStatus(item, upstream);
+  // Trashed items stay readable until purged, like GET /api/trash
+  if (item.deletedAt) {
+    item.purgeAfter = new Date(new Date(item.deletedAt).getTime() + TRASH_RETENTION_MS).toISOString();
+  }
+
+  const { events } = await queryEvents(context.env, { itemId: id, limit: RECENT_EVENTS, maxDays: RECENT_EVENT_DAYS });
+
+  // Strong validator: the item's write version, its dependencies' versions
+  // (they decide `blocked`), plus the newest event since some events (votes,
+  // mentions) don't touch the item itself
+  const deps = [...upstream.values()].map(u => `${u.id}.${u.writeVersion || 0}`).join('+');
+  const etag = `"${id}-v${item.writeVersion || 0}${deps ? '-' + deps : ''}${events[0] ? '-' + events[0].id : ''}"`;
+
+  return conditionalJsonResponse(context.request, {
+    item,
+    mentionCount: item.mentions?.count || 0,
+    // Upstream items still holding this one back (see /api/graph for the rest)
+    blockedBy: blockingDependencies(item, upstream),
+    recentEvents: events,
+  }, { etag, headers: corsHeaders() });
+}
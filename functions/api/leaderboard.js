@@ -0,0 +1,39 @@
+// Agent contribution leaderboard (scoring lives in _leaderboard.js).
+// Counters are brought up to date by /api/refresh; this endpoint only ranks.
+
+import { jsonResponse, conditionalJsonResponse, corsHeaders } from './_auth.js';
+import { getLeaderboardState, getWeights, rankAgents, WINDOWS } from './_leaderboard.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: corsHeaders() });
+}
+
+// GET /api/leaderboard?window=7d|30d|all&limit=&agent= (public)
+export async function onRequestGet(context) {
+  const url = new URL(context.request.url);
+  const window = url.searchParams.get('window') || '30d';
+  if (!(window in WINDOWS)) {
+    return jsonResponse({ error: `window must be one of: ${Object.keys(WINDOWS).join(', ')}` }, 400, corsHeaders());
+  }
+  const limit = Math.max(1, Math.min(parseInt(url.searchParams.get('limit') || DEFAULT_LIMIT, 10) || DEFAULT_LIMIT, MAX_LIMIT));
+
+  const state = await getLeaderboardState(context.env);
+  const weights = getWeights(context.env);
+  const ranked = rankAgents(state, window, weights);
+
+  const data = {
+    window,
+    weights,
+    computedAt: state.computedAt,
+    total: ranked.length,
+    agents: ranked.slice(0, limit),
+  };
+  // One agent's standing, even if it's outside the page
+  const address = url.searchParams.get('agent');
+  if (address) data.agent = ranked.find(a => a.btcAddress === address) || null;
+
+  return conditionalJsonResponse(context.request, data, { headers: corsHeaders() });
+}
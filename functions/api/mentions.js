@@ -5,7 +5,7 @@
 // - No dependency on event recording completing
 
 import { jsonResponse, corsHeaders } from './_auth.js';
-import { getData, matchMention } from './_tasks.js';
+import { getItem, matchMention } from './_tasks.js';
 
 const MESSAGE_ARCHIVE_KEY = 'roadmap:message-archive';
 
@@ -20,9 +20,8 @@ export async function onRequestGet(context) {
     return jsonResponse({ error: 'itemId is required' }, 400, corsHeaders());
   }
 
-  const data = await getData(context.env);
-  const item = data.items.find(i => i.id === itemId);
-  if (!item) {
+  const item = await getItem(context.env, itemId);
+  if (!item || item.deletedAt) {
     return jsonResponse({ error: 'Item not found' }, 404, corsHeaders());
   }
 
@@ -0,0 +1,31 @@
+// Issues single-use nonces for signed agent requests (see _auth.js).
+
+import { jsonResponse, corsHeaders, lookupAgent, issueNonce, buildSignedMessage } from './_auth.js';
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: corsHeaders() });
+}
+
+// GET /api/nonce?address={btcAddress} — public
+export async function onRequestGet(context) {
+  const url = new URL(context.request.url);
+  const address = (url.searchParams.get('address') || '').trim();
+  if (!address) {
+    return jsonResponse({ error: 'address is required' }, 400, corsHeaders());
+  }
+
+  // Only registered agents can authenticate, so don't hand out nonces to anyone else
+  const agent = await lookupAgent(context.env, address);
+  if (!agent) {
+    return jsonResponse({ error: 'Address is not a registered AIBTC agent' }, 404, corsHeaders());
+  }
+
+  const { nonce, expiresAt } = await issueNonce(context.env, agent.btcAddress);
+
+  return jsonResponse({
+    nonce,
+    expiresAt,
+    message: buildSignedMessage({ method: '{METHOD}', path: '{path}', bodyHash: '{sha256(body) hex}', nonce }),
+    header: `Authorization: AIBTC-SIG ${agent.btcAddress}:${nonce}:{signature}`,
+  }, 200, { ...corsHeaders(), 'Cache-Control': 'no-store' });
+}
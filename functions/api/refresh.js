@@ -2,11 +2,22 @@
 // Called by GitHub Actions cron every 15 minutes.
 
 import { jsonResponse, corsHeaders } from './_auth.js';
-import { refreshStaleGithubData, scanForMentions, backfillMentions, scanGithubContributors, scanGithubEvents, discoverWebsites } from './_tasks.js';
+import { computePriority } from './_priority.js';
+import { processWebhookQueue } from './_webhooks.js';
+import { updateLeaderboard } from './_leaderboard.js';
+import { refreshReputation } from './_reputation.js';
+import { startGithubBudget, finishGithubBudget } from './_github.js';
+import { prefetchGithubRepos, refreshStaleGithubData, scanForMentions, backfillMentions, scanGithubContributors, scanGithubEvents, discoverWebsites, purgeTrash, releaseExpiredClaims, flagOverdueGoals } from './_tasks.js';
 
 // Time budget: return before the caller's timeout.
 // Curl uses --max-time 60, so we aim to finish within 50s.
 const TIME_BUDGET_MS = 50_000;
+// Share of it webhook deliveries may take
+const WEBHOOK_TIME_MS = 10_000;
+
+// How the GitHub scans share the API quota. Each scan gets its weight's part
+// of what the scans before it left unused.
+const GITHUB_BUDGET_WEIGHTS = { github: 4, githubContributors: 2, githubEvents: 3, websites: 1 };
 
 export async function onRequestOptions() {
   return new Response(null, { status: 204, headers: corsHeaders() });
@@ -26,9 +37,20 @@ export async function onRequestGet(context) {
   const deadline = start + TIME_BUDGET_MS;
   const reset = url.searchParams.get('reset') === 'true';
   const opts = { deadline };
+  const githubOpts = { deadline, budget: await startGithubBudget(context.env, GITHUB_BUDGET_WEIGHTS) };
+
+  // Send queued webhook deliveries, and retries whose backoff has elapsed.
+  // Runs before the GitHub scans, which can use up the rest of the run.
+  const webhookResult = await processWebhookQueue(context.env, { deadline: start + WEBHOOK_TIME_MS });
+
+  // One batched GraphQL pass over the repos due for a refresh or an event
+  // scan feeds the scans below (needs a token); they fall back to REST for
+  // any repo it didn't get
+  const { repos: prefetched, ...batchResult } = await prefetchGithubRepos(context.env, githubOpts);
+  githubOpts.prefetched = prefetched;
 
   // GitHub data refresh is read-only on items, safe to run first
-  const ghResult = await refreshStaleGithubData(context.env, opts);
+  const ghResult = await refreshStaleGithubData(context.env, githubOpts);
 
   // Run item-mutating scans sequentially to avoid KV write conflicts
   const mentionResult = Date.now() < deadline
@@ -36,15 +58,15 @@ export async function onRequestGet(context) {
     : { scanned: false, reason: 'time_budget' };
 
   const contributorResult = Date.now() < deadline
-    ? await scanGithubContributors(context.env, opts)
+    ? await scanGithubContributors(context.env, githubOpts)
     : { scannedRepos: 0, timedOut: true };
 
   const eventResult = Date.now() < deadline
-    ? await scanGithubEvents(context.env, opts)
+    ? await scanGithubEvents(context.env, githubOpts)
     : { scannedRepos: 0, timedOut: true };
 
   const websiteResult = Date.now() < deadline
-    ? await discoverWebsites(context.env, opts)
+    ? await discoverWebsites(context.env, githubOpts)
     : { scannedRepos: 0, timedOut: true };
 
   // Backfill operates on events KV only (not items), safe to run last
@@ -52,17 +74,57 @@ export async function onRequestGet(context) {
     ? await backfillMentions(context.env)
     : { backfilled: 0, timedOut: true };
 
+  // Release claims whose holder has gone quiet past the claim TTL
+  const claimResult = Date.now() < deadline
+    ? await releaseExpiredClaims(context.env, opts)
+    : { released: 0, timedOut: true };
+
+  // Report roadmap milestones whose due date has passed
+  const goalResult = Date.now() < deadline
+    ? await flagOverdueGoals(context.env, opts)
+    : { flagged: 0, timedOut: true };
+
+  // Permanently remove items that have been in the trash past retention
+  const trashResult = Date.now() < deadline
+    ? await purgeTrash(context.env, opts)
+    : { purged: 0, timedOut: true };
+
+  // Fold new events into the contribution leaderboard (reads events KV only)
+  const leaderboardResult = Date.now() < deadline
+    ? await updateLeaderboard(context.env, opts)
+    : { processed: 0, timedOut: true };
+
+  // Re-weigh ratings now that raters' standings may have changed
+  const reputationResult = Date.now() < deadline
+    ? await refreshReputation(context.env, opts)
+    : { updated: 0, timedOut: true };
+
+  // Recompute vote ranking so stale ballots keep decaying
+  const priority = await computePriority(context.env);
+  const priorityResult = { voters: priority.voters, computedAt: priority.computedAt };
+
+  const githubQuota = await finishGithubBudget(context.env, githubOpts.budget);
+
   const elapsed = Date.now() - start;
 
   return jsonResponse({
     ok: true,
     elapsed: `${elapsed}ms`,
+    githubBatch: { ...batchResult, repos: prefetched.size },
     github: ghResult,
     mentions: mentionResult,
     githubContributors: contributorResult,
     githubEvents: eventResult,
     websites: websiteResult,
+    githubQuota,
     backfill: backfillResult,
+    claims: claimResult,
+    goals: goalResult,
+    trash: trashResult,
+    priority: priorityResult,
+    webhooks: webhookResult,
+    leaderboard: leaderboardResult,
+    reputation: reputationResult,
     timestamp: new Date().toISOString(),
   }, 200, corsHeaders());
 }
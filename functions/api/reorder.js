@@ -1,5 +1,11 @@
-import { getAgent, jsonResponse, corsHeaders, recordEvent } from './_auth.js';
-import { getData, saveData, ConcurrencyError } from './_tasks.js';
+// Moderator-only manual order. Pinned items are listed first, in the given
+// order, ahead of the vote-based ranking (see _priority.js and votes.js).
+// Sending an empty orderedIds array clears the override.
+
+import { getAgent, isModerator, AUTH_ERROR, jsonResponse, corsHeaders } from './_auth.js';
+import { recordEvent } from './_events.js';
+import { getIndex } from './_tasks.js';
+import { setOverride } from './_priority.js';
 
 export async function onRequestOptions() {
   return new Response(null, { status: 204, headers: corsHeaders() });
@@ -8,7 +14,10 @@ export async function onRequestOptions() {
 export async function onRequestPost(context) {
   const agent = await getAgent(context.request, context.env);
   if (!agent) {
-    return jsonResponse({ error: 'Not authenticated. Use header: Authorization: AIBTC {btcAddress}' }, 401, corsHeaders());
+    return jsonResponse({ error: AUTH_ERROR }, 401, corsHeaders());
+  }
+  if (!isModerator(context.env, agent)) {
+    return jsonResponse({ error: 'Only moderators can override the board order. Submit your own ranking via POST /api/votes.' }, 403, corsHeaders());
   }
 
   let body;
@@ -19,37 +28,19 @@ export async function onRequestPost(context) {
     return jsonResponse({ error: 'orderedIds array is required' }, 400, corsHeaders());
   }
 
-  const data = await getData(context.env);
-
-  const map = new Map(data.items.map(i => [i.id, i]));
-  const reordered = [];
-  for (const id of body.orderedIds) {
-    if (map.has(id)) {
-      reordered.push(map.get(id));
-      map.delete(id);
-    }
-  }
-  for (const item of map.values()) {
-    reordered.push(item);
-  }
+  const index = await getIndex(context.env);
+  const known = new Set(index.ids);
+  const pinned = [...new Set(body.orderedIds)].filter(id => known.has(id));
 
-  data.items = reordered;
-  try {
-    await saveData(context.env, data);
-  } catch (err) {
-    if (err.name === 'ConcurrencyError') {
-      return jsonResponse({ error: 'Another update was in progress. Please retry.' }, 409, corsHeaders());
-    }
-    throw err;
-  }
+  await setOverride(context.env, agent, pinned);
 
   context.waitUntil(recordEvent(context.env, {
     type: 'item.reordered',
     agent,
     itemId: null,
     itemTitle: null,
-    data: { count: reordered.length },
+    data: { count: pinned.length, override: pinned.length > 0 },
   }));
 
-  return jsonResponse({ ok: true, count: reordered.length }, 200, corsHeaders());
+  return jsonResponse({ ok: true, count: pinned.length }, 200, corsHeaders());
 }
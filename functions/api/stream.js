@@ -0,0 +1,159 @@
+// Server-Sent Events stream of board activity.
+// KV has no change notifications, so each connection polls the log's head key
+// and, only when it moves, reads the new events and forwards them together
+// with a fresh snapshot of the affected item (and of the items depending on
+// it, whose blocked status may have changed with it).
+// Connections close after MAX_STREAM_MS; EventSource reconnects on its own and
+// sends Last-Event-ID, so nothing is missed between connections.
+
+import { corsHeaders } from './_auth.js';
+import { queryEvents, findEvent, encodeCursor, getEventsHead } from './_events.js';
+import { getData, getItem, getDependencies, deriveStatus } from './_tasks.js';
+
+const POLL_INTERVAL_MS = 5000;
+const HEARTBEAT_MS = 15_000;
+const MAX_STREAM_MS = 5 * 60_000;
+// Reconnect delay suggested to the client
+const RETRY_MS = 3000;
+// How long a head may point at an event the buckets don't show yet (KV
+// propagation, or a concurrent append that dropped it) before it is settled
+const HEAD_SETTLE_MS = 60_000;
+// Events that can change whether an item blocks the items depending on it
+const UPSTREAM_EVENT_TYPES = new Set([
+  'item.status_changed', 'item.status_synced', 'item.deleted', 'item.restored', 'item.purged',
+  'item.deliverable_added', 'item.goal_added', 'item.goal_completed', 'item.goal_reopened', 'item.goal_removed',
+]);
+
+const encoder = new TextEncoder();
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function sseMessage({ id, event, data }) {
+  let out = '';
+  if (id) out += `id: ${id}\n`;
+  if (event) out += `event: ${event}\n`;
+  return out + `data: ${JSON.stringify(data)}\n\n`;
+}
+
+// Current state of the item an event touched (null once purged)
+async function itemSnapshot(env, itemId, cache) {
+  if (!itemId) return null;
+  if (cache.has(itemId)) return cache.get(itemId);
+  const item = await getItem(env, itemId);
+  if (item) item.status = deriveStatus(item, await getDependencies(env, item));
+  cache.set(itemId, item);
+  return item;
+}
+
+// Current state of the items that depend on `itemId`. `board` holds the
+// whole board, read at most once per batch of events.
+async function dependentSnapshots(env, itemId, board) {
+  if (!board.byId) {
+    const data = await getData(env);
+    board.byId = new Map(data.items.map(i => [i.id, i]));
+  }
+  return [...board.byId.values()]
+    .filter(i => (i.dependsOn || []).includes(itemId))
+    .map(i => ({ ...i, status: deriveStatus(i, board.byId) }));
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: corsHeaders() });
+}
+
+// GET /api/stream — public. Emits `activity` messages ({ event, item,
+// dependents }) with
+// the event id as the SSE id. Resume with the Last-Event-ID header (sent
+// automatically by EventSource) or ?lastEventId=. If the id is too old to
+// find, a `resync` message tells the client to reload the board.
+export async function onRequestGet(context) {
+  const { env, request } = context;
+  const url = new URL(request.url);
+  const lastEventId = request.headers.get('Last-Event-ID') || url.searchParams.get('lastEventId');
+
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  let closed = false;
+  request.signal?.addEventListener('abort', () => { closed = true; });
+
+  const send = async (text) => {
+    try { await writer.write(encoder.encode(text)); } catch { closed = true; }
+  };
+
+  const pump = async () => {
+    const start = Date.now();
+    let lastWrite = Date.now();
+    let cursor = null;
+    // Head already caught up with, and the events this connection has seen
+    let lastHead;
+    const seen = new Set();
+
+    await send(`retry: ${RETRY_MS}\n\n`);
+
+    if (lastEventId) {
+      const resumeFrom = await findEvent(env, lastEventId);
+      if (resumeFrom) {
+        cursor = encodeCursor(resumeFrom);
+        seen.add(resumeFrom.id);
+      } else {
+        await send(sseMessage({ event: 'resync', data: { reason: 'unknown_last_event_id' } }));
+      }
+    }
+    if (!cursor) {
+      // Fresh connection: start after the newest event instead of replaying history
+      const latest = await queryEvents(env, { limit: 1 });
+      cursor = latest.prevCursor;
+      if (latest.events[0]) seen.add(latest.events[0].id);
+    }
+    await send(sseMessage({ event: 'ready', data: { connectedAt: new Date().toISOString() } }));
+
+    while (!closed && Date.now() - start < MAX_STREAM_MS) {
+      // One read per tick while nothing happens
+      const head = await getEventsHead(env);
+      const headKey = JSON.stringify(head);
+      const { events, prevCursor } = headKey === lastHead
+        ? { events: [] }
+        : await queryEvents(env, { after: cursor, limit: 50 });
+      for (const event of events) seen.add(event.id);
+      // Keep reading until the head's event shows up: its bucket may lag
+      // behind the head key, and a full page may leave more behind
+      const headSettled = !head?.eventId || seen.has(head.eventId) || Date.now() - new Date(head.updatedAt).getTime() >= HEAD_SETTLE_MS;
+      if (events.length < 50 && headSettled) lastHead = headKey;
+
+      if (events.length > 0) {
+        const cache = new Map();
+        const board = {};
+        // queryEvents returns newest first; deliver in the order they happened
+        for (const event of [...events].reverse()) {
+          const item = await itemSnapshot(env, event.itemId, cache);
+          const dependents = event.itemId && UPSTREAM_EVENT_TYPES.has(event.type)
+            ? await dependentSnapshots(env, event.itemId, board)
+            : [];
+          await send(sseMessage({ id: event.id, event: 'activity', data: { event, item, dependents } }));
+          if (closed) break;
+        }
+        cursor = prevCursor;
+        lastWrite = Date.now();
+      } else if (Date.now() - lastWrite >= HEARTBEAT_MS) {
+        await send(`: heartbeat ${new Date().toISOString()}\n\n`);
+        lastWrite = Date.now();
+      }
+
+      await sleep(POLL_INTERVAL_MS);
+    }
+
+    try { await writer.close(); } catch { /* client already gone */ }
+  };
+
+  context.waitUntil(pump());
+
+  return new Response(readable, {
+    status: 200,
+    headers: {
+      ...corsHeaders(),
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    },
+  });
+}
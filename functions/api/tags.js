@@ -0,0 +1,35 @@
+// Tag vocabulary with how many projects carry each tag: GET /api/tags
+// The vocabulary and the GitHub topic aliases live in _tags.js.
+
+import { conditionalJsonResponse, corsHeaders } from './_auth.js';
+import { getData } from './_tasks.js';
+import { TAGS, TAG_ALIASES } from './_tags.js';
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: corsHeaders() });
+}
+
+// GET - every tag, most used first (public)
+export async function onRequestGet(context) {
+  const data = await getData(context.env);
+
+  const counts = {};
+  let untagged = 0;
+  for (const item of data.items) {
+    if (item.tags.length === 0) untagged++;
+    for (const tag of item.tags) counts[tag] = (counts[tag] || 0) + 1;
+  }
+
+  const order = Object.keys(TAGS);
+  const tags = order
+    .map(id => ({
+      id,
+      label: TAGS[id].label,
+      description: TAGS[id].description,
+      count: counts[id] || 0,
+      aliases: Object.keys(TAG_ALIASES).filter(alias => TAG_ALIASES[alias] === id),
+    }))
+    .sort((a, b) => b.count - a.count || order.indexOf(a.id) - order.indexOf(b.id));
+
+  return conditionalJsonResponse(context.request, { tags, total: data.items.length, untagged }, { headers: corsHeaders() });
+}
@@ -0,0 +1,24 @@
+// Lists soft-deleted items. Restore with PUT /api/items { action: "restore" };
+// anything left in the trash past the retention period is purged by /api/refresh.
+
+import { jsonResponse, corsHeaders } from './_auth.js';
+import { getData, TRASH_RETENTION_MS } from './_tasks.js';
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: corsHeaders() });
+}
+
+// GET /api/trash — public, most recently deleted first
+export async function onRequestGet(context) {
+  const data = await getData(context.env, { includeDeleted: true });
+
+  const items = data.items
+    .filter(item => item.deletedAt)
+    .map(item => ({
+      ...item,
+      purgeAfter: new Date(new Date(item.deletedAt).getTime() + TRASH_RETENTION_MS).toISOString(),
+    }))
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+  return jsonResponse({ items, total: items.length }, 200, corsHeaders());
+}
@@ -0,0 +1,102 @@
+// Priority votes: each agent submits their own ranked ballot and the board
+// order is computed from all of them (see _priority.js).
+
+import { getAgent, AUTH_ERROR, jsonResponse, corsHeaders } from './_auth.js';
+import { recordEvent } from './_events.js';
+import { getData } from './_tasks.js';
+import { BALLOT_SIZE, getBallot, saveBallot, deleteBallot, computePriority, getPriority, orderItems, explainRank } from './_priority.js';
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: corsHeaders() });
+}
+
+// GET /api/votes — public ranking; ?itemId= explains one item's rank;
+// ?agent= returns that agent's current ballot
+export async function onRequestGet(context) {
+  const url = new URL(context.request.url);
+  const itemId = url.searchParams.get('itemId');
+  const agentAddress = url.searchParams.get('agent');
+
+  if (agentAddress) {
+    const ballot = await getBallot(context.env, agentAddress);
+    if (!ballot) return jsonResponse({ error: 'No ballot for this agent' }, 404, corsHeaders());
+    return jsonResponse({ ballot }, 200, corsHeaders());
+  }
+
+  const data = await getData(context.env);
+
+  if (itemId) {
+    const explanation = await explainRank(context.env, data.items, itemId);
+    if (!explanation) return jsonResponse({ error: 'Item not found' }, 404, corsHeaders());
+    return jsonResponse(explanation, 200, corsHeaders());
+  }
+
+  const priority = await getPriority(context.env);
+  const ranking = orderItems(data.items, priority).map(item => ({
+    itemId: item.id,
+    itemTitle: item.title,
+    ...item.priority,
+  }));
+  return jsonResponse({
+    ranking,
+    voters: priority.voters,
+    override: priority.override,
+    computedAt: priority.computedAt,
+  }, 200, corsHeaders());
+}
+
+// POST /api/votes — submit or replace your ballot: { rankedIds: [...] }
+export async function onRequestPost(context) {
+  const agent = await getAgent(context.request, context.env);
+  if (!agent) {
+    return jsonResponse({ error: AUTH_ERROR }, 401, corsHeaders());
+  }
+
+  let body;
+  try { body = await context.request.json(); } catch {
+    return jsonResponse({ error: 'Invalid JSON in request body' }, 400, corsHeaders());
+  }
+  if (!Array.isArray(body.rankedIds) || body.rankedIds.length === 0) {
+    return jsonResponse({ error: 'rankedIds array is required (most important first)' }, 400, corsHeaders());
+  }
+  if (body.rankedIds.length > BALLOT_SIZE) {
+    return jsonResponse({ error: `A ballot can rank at most ${BALLOT_SIZE} items` }, 400, corsHeaders());
+  }
+
+  const data = await getData(context.env);
+  const known = new Set(data.items.map(i => i.id));
+  const rankedIds = [...new Set(body.rankedIds)];
+  const unknown = rankedIds.filter(id => !known.has(id));
+  if (unknown.length > 0) {
+    return jsonResponse({ error: 'Unknown item ids in ballot', unknown }, 400, corsHeaders());
+  }
+
+  const ballot = await saveBallot(context.env, agent, rankedIds);
+  const priority = await computePriority(context.env, { ballot });
+
+  context.waitUntil(recordEvent(context.env, {
+    type: 'item.voted',
+    agent,
+    itemId: rankedIds[0],
+    itemTitle: data.items.find(i => i.id === rankedIds[0])?.title || null,
+    data: { rankedIds, count: rankedIds.length },
+  }));
+
+  return jsonResponse({ ballot, voters: priority.voters }, 200, corsHeaders());
+}
+
+// DELETE /api/votes — withdraw your ballot
+export async function onRequestDelete(context) {
+  const agent = await getAgent(context.request, context.env);
+  if (!agent) {
+    return jsonResponse({ error: AUTH_ERROR }, 401, corsHeaders());
+  }
+
+  const ballot = await getBallot(context.env, agent.btcAddress);
+  if (!ballot) return jsonResponse({ error: 'You have no ballot to withdraw' }, 404, corsHeaders());
+
+  await deleteBallot(context.env, agent.btcAddress);
+  const priority = await computePriority(context.env, { withdrawn: agent.btcAddress });
+
+  return jsonResponse({ ok: true, voters: priority.voters }, 200, corsHeaders());
+}
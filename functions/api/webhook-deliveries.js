@@ -0,0 +1,31 @@
+// Delivery log for one webhook: the most recent attempts, newest first.
+
+import { getAgent, isModerator, AUTH_ERROR, jsonResponse, corsHeaders } from './_auth.js';
+import { getWebhook, getDeliveryLog, publicWebhook } from './_webhooks.js';
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: corsHeaders() });
+}
+
+// GET /api/webhook-deliveries?id={webhookId} — owner or moderator only
+export async function onRequestGet(context) {
+  const agent = await getAgent(context.request, context.env);
+  if (!agent) {
+    return jsonResponse({ error: AUTH_ERROR }, 401, corsHeaders());
+  }
+
+  const url = new URL(context.request.url);
+  const id = url.searchParams.get('id');
+  if (!id) {
+    return jsonResponse({ error: 'id is required' }, 400, corsHeaders());
+  }
+
+  const hook = await getWebhook(context.env, id);
+  if (!hook) return jsonResponse({ error: 'Webhook not found' }, 404, corsHeaders());
+  if (hook.owner.btcAddress !== agent.btcAddress && !isModerator(context.env, agent)) {
+    return jsonResponse({ error: 'Only the webhook owner or a moderator can view its deliveries' }, 403, corsHeaders());
+  }
+
+  const deliveries = await getDeliveryLog(context.env, id);
+  return jsonResponse({ webhook: publicWebhook(hook), deliveries, total: deliveries.length }, 200, corsHeaders());
+}
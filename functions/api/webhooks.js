@@ -0,0 +1,188 @@
+// Webhook subscriptions (see _webhooks.js for delivery and signing).
+// Each agent manages its own endpoints; moderators can manage any.
+
+import { getAgent, isModerator, AUTH_ERROR, jsonResponse, corsHeaders } from './_auth.js';
+import { getIndex } from './_tasks.js';
+import {
+  MAX_WEBHOOKS_PER_AGENT, generateSecret, publicWebhook, validateWebhookUrl,
+  getWebhook, getWebhooks, saveWebhook, insertWebhook, removeWebhook, pingWebhook,
+} from './_webhooks.js';
+
+const EVENT_TYPE_RE = /^[a-z]+\.[a-z_]+$/;
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: corsHeaders() });
+}
+
+function canManageWebhook(env, agent, hook) {
+  return hook.owner.btcAddress === agent.btcAddress || isModerator(env, agent);
+}
+
+// Validate the optional types / itemIds filters. Returns { filters } or { error }.
+async function parseFilters(env, body) {
+  const filters = {};
+  if (body.types !== undefined) {
+    if (body.types !== null && (!Array.isArray(body.types) || body.types.some(t => typeof t !== 'string' || !EVENT_TYPE_RE.test(t)))) {
+      return { error: 'types must be an array of event types like "item.created"' };
+    }
+    filters.types = body.types?.length ? [...new Set(body.types)] : null;
+  }
+  if (body.itemIds !== undefined) {
+    if (body.itemIds !== null && !Array.isArray(body.itemIds)) {
+      return { error: 'itemIds must be an array of item ids' };
+    }
+    if (body.itemIds?.length) {
+      const known = new Set((await getIndex(env)).ids);
+      const unknown = body.itemIds.filter(id => !known.has(id));
+      if (unknown.length > 0) return { error: 'Unknown item ids', unknown };
+    }
+    filters.itemIds = body.itemIds?.length ? [...new Set(body.itemIds)] : null;
+  }
+  return { filters };
+}
+
+// GET /api/webhooks — your webhooks (all of them for moderators)
+export async function onRequestGet(context) {
+  const agent = await getAgent(context.request, context.env);
+  if (!agent) {
+    return jsonResponse({ error: AUTH_ERROR }, 401, corsHeaders());
+  }
+
+  const hooks = (await getWebhooks(context.env))
+    .filter(h => canManageWebhook(context.env, agent, h))
+    .map(publicWebhook);
+
+  return jsonResponse({ webhooks: hooks, total: hooks.length }, 200, corsHeaders());
+}
+
+// POST /api/webhooks — register an endpoint: { url, types?, itemIds? }
+// The signing secret is only returned here (and when rotated).
+export async function onRequestPost(context) {
+  const agent = await getAgent(context.request, context.env);
+  if (!agent) {
+    return jsonResponse({ error: AUTH_ERROR }, 401, corsHeaders());
+  }
+
+  let body;
+  try { body = await context.request.json(); } catch {
+    return jsonResponse({ error: 'Invalid JSON in request body' }, 400, corsHeaders());
+  }
+
+  const urlError = validateWebhookUrl(body.url);
+  if (urlError) {
+    return jsonResponse({ error: urlError }, 400, corsHeaders());
+  }
+  const { filters, error, unknown } = await parseFilters(context.env, body);
+  if (error) {
+    return jsonResponse(unknown ? { error, unknown } : { error }, 400, corsHeaders());
+  }
+
+  const existing = (await getWebhooks(context.env)).filter(h => h.owner.btcAddress === agent.btcAddress);
+  if (existing.length >= MAX_WEBHOOKS_PER_AGENT) {
+    return jsonResponse({ error: `You can register at most ${MAX_WEBHOOKS_PER_AGENT} webhooks` }, 400, corsHeaders());
+  }
+
+  const now = new Date().toISOString();
+  const hook = {
+    id: 'wh_' + crypto.randomUUID().slice(0, 8),
+    url: body.url,
+    secret: generateSecret(),
+    types: filters.types ?? null,
+    itemIds: filters.itemIds ?? null,
+    owner: { btcAddress: agent.btcAddress, displayName: agent.displayName },
+    active: true,
+    consecutiveFailures: 0,
+    lastDeliveryAt: null,
+    lastStatus: null,
+    disabledAt: null,
+    disabledReason: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await insertWebhook(context.env, hook);
+
+  return jsonResponse({ webhook: publicWebhook(hook), secret: hook.secret }, 201, corsHeaders());
+}
+
+// PUT /api/webhooks — { id, url?, types?, itemIds?, active?, rotateSecret? }
+// or { id, action: "ping" } to send a test delivery
+export async function onRequestPut(context) {
+  const agent = await getAgent(context.request, context.env);
+  if (!agent) {
+    return jsonResponse({ error: AUTH_ERROR }, 401, corsHeaders());
+  }
+
+  let body;
+  try { body = await context.request.json(); } catch {
+    return jsonResponse({ error: 'Invalid JSON in request body' }, 400, corsHeaders());
+  }
+  if (!body.id) {
+    return jsonResponse({ error: 'id is required' }, 400, corsHeaders());
+  }
+
+  const hook = await getWebhook(context.env, body.id);
+  if (!hook) return jsonResponse({ error: 'Webhook not found' }, 404, corsHeaders());
+  if (!canManageWebhook(context.env, agent, hook)) {
+    return jsonResponse({ error: 'Only the webhook owner or a moderator can manage it' }, 403, corsHeaders());
+  }
+
+  if (body.action === 'ping') {
+    const result = await pingWebhook(context.env, hook, agent);
+    return jsonResponse(result, 200, corsHeaders());
+  }
+
+  if (body.url !== undefined) {
+    const urlError = validateWebhookUrl(body.url);
+    if (urlError) return jsonResponse({ error: urlError }, 400, corsHeaders());
+    hook.url = body.url;
+  }
+  const { filters, error, unknown } = await parseFilters(context.env, body);
+  if (error) {
+    return jsonResponse(unknown ? { error, unknown } : { error }, 400, corsHeaders());
+  }
+  Object.assign(hook, filters);
+
+  // Re-enabling gives the endpoint a clean slate
+  if (body.active === true && !hook.active) {
+    hook.active = true;
+    hook.consecutiveFailures = 0;
+    hook.disabledAt = null;
+    hook.disabledReason = null;
+  } else if (body.active === false && hook.active) {
+    hook.active = false;
+    hook.disabledAt = new Date().toISOString();
+    hook.disabledReason = 'disabled by ' + agent.displayName;
+  }
+
+  let secret;
+  if (body.rotateSecret === true) {
+    secret = hook.secret = generateSecret();
+  }
+
+  hook.updatedAt = new Date().toISOString();
+  await saveWebhook(context.env, hook);
+
+  return jsonResponse(secret ? { webhook: publicWebhook(hook), secret } : { webhook: publicWebhook(hook) }, 200, corsHeaders());
+}
+
+// DELETE /api/webhooks — { id }
+export async function onRequestDelete(context) {
+  const agent = await getAgent(context.request, context.env);
+  if (!agent) {
+    return jsonResponse({ error: AUTH_ERROR }, 401, corsHeaders());
+  }
+
+  let body;
+  try { body = await context.request.json(); } catch {
+    return jsonResponse({ error: 'Invalid JSON in request body' }, 400, corsHeaders());
+  }
+
+  const hook = body.id ? await getWebhook(context.env, body.id) : null;
+  if (!hook) return jsonResponse({ error: 'Webhook not found' }, 404, corsHeaders());
+  if (!canManageWebhook(context.env, agent, hook)) {
+    return jsonResponse({ error: 'Only the webhook owner or a moderator can manage it' }, 403, corsHeaders());
+  }
+
+  await removeWebhook(context.env, hook.id);
+  return jsonResponse({ ok: true }, 200, corsHeaders());
+}